@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+/**
+ * wabi CLI - build-time CSS generation for static sites
+ *
+ * @example
+ * wabi css --selector .card --seed 7 --variants 5 --corners 5,4 --edges 2 > wabi.css
+ * wabi css --config wabi.config.json --out wabi.css
+ */
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { resolve, extname } from "node:path";
+import { pathToFileURL } from "node:url";
+import { generateStylesheet } from "../src/core.js";
+
+const USAGE = `Usage: wabi css [options]
+
+Options:
+  --config <file>       JSON or JS config file with a list of rules
+  --selector <sel>      Selector to generate variants for
+  --variants <n>        Number of variant classes (default: 1)
+  --preset <name>       Start from a preset (torn-paper, stamp, brushstroke, ticket, sticker)
+  --seed <n>            Base seed
+  --corners <x,y>       Max corner offsets
+  --edges <n[,wobble]>  Edge points per edge and optional wobble
+  --cut-corners <n>     Number of corners to cut
+  --width <n>           Aspect ratio width of the target elements
+  --height <n>          Aspect ratio height of the target elements
+  --keyframes           Emit @keyframes cycling through the variants
+  --duration <ms>       Keyframe animation duration (default: 4000)
+  --out <file>          Write to a file instead of stdout
+  --help                Show this message`;
+
+/**
+ * Parse command-line flags into a key/value object
+ * @param {string[]} args
+ * @returns {object}
+ */
+function parseFlags(args) {
+    const flags = {};
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg.startsWith("--")) {
+            throw new Error(`Unexpected argument "${arg}"`);
+        }
+
+        const [name, inlineValue] = arg.slice(2).split("=");
+        const next = args[i + 1];
+
+        if (inlineValue !== undefined) {
+            flags[name] = inlineValue;
+        } else if (next !== undefined && !next.startsWith("--")) {
+            flags[name] = next;
+            i++;
+        } else {
+            flags[name] = true;
+        }
+    }
+
+    return flags;
+}
+
+/**
+ * Read the value of a flag that takes one
+ * @param {object} flags
+ * @param {string} name
+ * @returns {string}
+ */
+function toValue(flags, name) {
+    const value = flags[name];
+    if (typeof value !== "string" || !value.trim()) {
+        throw new Error(`--${name} needs a value`);
+    }
+    return value;
+}
+
+/**
+ * Read a comma-separated list of numbers from a flag
+ * @param {object} flags
+ * @param {string} name
+ * @returns {number[]}
+ */
+function toNumbers(flags, name) {
+    const value = toValue(flags, name);
+    const numbers = value.split(",").map(part => (part.trim() ? Number(part) : NaN));
+    if (numbers.some(number => !Number.isFinite(number))) {
+        throw new Error(`--${name} expects numbers, got "${value}"`);
+    }
+    return numbers;
+}
+
+/**
+ * Read a single number from a flag
+ * @param {object} flags
+ * @param {string} name
+ * @returns {number}
+ */
+function toNumber(flags, name) {
+    const value = toValue(flags, name);
+    const number = Number(value);
+    if (!Number.isFinite(number)) {
+        throw new Error(`--${name} expects a number, got "${value}"`);
+    }
+    return number;
+}
+
+/**
+ * Build a rule from command-line flags
+ * @param {object} flags
+ * @returns {object}
+ */
+function ruleFromFlags(flags) {
+    const rule = { selector: toValue(flags, "selector") };
+
+    if (flags.preset !== undefined) rule.preset = toValue(flags, "preset");
+    if (flags.variants !== undefined) rule.variants = toNumber(flags, "variants");
+    if (flags.seed !== undefined) rule.seed = toNumber(flags, "seed");
+    if (flags.width !== undefined) rule.width = toNumber(flags, "width");
+    if (flags.height !== undefined) rule.height = toNumber(flags, "height");
+    if (flags["cut-corners"] !== undefined) rule.cutCorners = toNumber(flags, "cut-corners");
+
+    if (flags.corners !== undefined) {
+        const [x, y = x] = toNumbers(flags, "corners");
+        rule.corners = { x, y };
+    }
+
+    if (flags.edges !== undefined) {
+        const [points, edgeWobble] = toNumbers(flags, "edges");
+        rule.edges = edgeWobble === undefined ? { points } : { points, edgeWobble };
+    }
+
+    if (flags.keyframes || flags.duration !== undefined) {
+        rule.keyframes = flags.duration !== undefined ? { duration: toNumber(flags, "duration") } : true;
+    }
+
+    return rule;
+}
+
+/**
+ * Load rules from a JSON or JS config file
+ * The config is either an array of rules or an object with a `rules` array
+ * @param {string} file
+ * @returns {Promise<object[]>}
+ */
+async function loadConfig(file) {
+    const path = resolve(process.cwd(), file);
+
+    const config = extname(path) === ".json"
+        ? JSON.parse(readFileSync(path, "utf8"))
+        : (await import(pathToFileURL(path).href)).default;
+
+    const rules = Array.isArray(config) ? config : config && config.rules;
+    if (!Array.isArray(rules)) {
+        throw new Error(`${file} must export an array of rules or { rules: [...] }`);
+    }
+    return rules;
+}
+
+async function main(argv) {
+    const [command, ...args] = argv;
+
+    if (!command || command === "--help" || command === "-h") {
+        console.log(USAGE);
+        return;
+    }
+
+    if (command !== "css") {
+        throw new Error(`Unknown command "${command}"`);
+    }
+
+    const flags = parseFlags(args);
+    if (flags.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const rules = flags.config !== undefined ? await loadConfig(toValue(flags, "config")) : [];
+    if (flags.selector !== undefined) {
+        rules.push(ruleFromFlags(flags));
+    }
+
+    if (rules.length === 0) {
+        throw new Error("Pass --selector or --config");
+    }
+
+    const css = generateStylesheet(rules);
+
+    if (flags.out && flags.out !== true) {
+        writeFileSync(resolve(process.cwd(), flags.out), css);
+    } else {
+        process.stdout.write(css);
+    }
+}
+
+main(process.argv.slice(2)).catch(error => {
+    // Errors from the library carry its own prefix
+    console.error(`wabi: ${error.message.replace(/^wabi\.js: /, "")}`);
+    process.exitCode = 1;
+});
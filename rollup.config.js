@@ -32,4 +32,20 @@ export default [
     },
     plugins: [resolve()],
   },
+  // DOM-free core (server-side / build-time generation)
+  {
+    input: "src/core.js",
+    output: [
+      {
+        file: "dist/wabi.core.esm.js",
+        format: "es",
+      },
+      {
+        file: "dist/wabi.core.cjs.js",
+        format: "cjs",
+        exports: "named",
+      },
+    ],
+    plugins: [resolve()],
+  },
 ];
@@ -0,0 +1,121 @@
+/**
+ * Default pointer deformation options
+ */
+export const defaultPointerOptions = {
+    radius: 80, // Distance in px within which vertices react to the pointer
+    strength: 12, // Max displacement in px
+    mode: "push", // 'push' away from the pointer | 'pull' towards it | 'bulge' outward from the center
+    stiffness: 0.12, // How fast vertices follow their target (per 60fps frame)
+    damping: 0.75, // Share of velocity kept per 60fps frame
+};
+
+// Offsets and velocities below this (px) count as settled
+const REST_THRESHOLD = 0.01;
+
+/**
+ * Spring-driven vertex offsets that react to a pointer position
+ * Offsets are kept per vertex between frames and added on top of the element's
+ * shape, so the shape itself never has to be regenerated while it deforms.
+ */
+export class Deformer {
+    /**
+     * @param {object} [options] - See defaultPointerOptions
+     */
+    constructor(options = {}) {
+        this.options = { ...defaultPointerOptions, ...options };
+        this.offsets = []; // Array<{ x, y, vx, vy }> in px
+        this.pointer = null; // { x, y } in px relative to the element, or null
+    }
+
+    /**
+     * Offset a vertex is pulled towards for the current pointer
+     * @param {{x: number, y: number}} point - Vertex in px
+     * @param {{x: number, y: number}} center - Element center in px
+     * @returns {{x: number, y: number}}
+     */
+    getTarget(point, center) {
+        const { radius, strength, mode } = this.options;
+        if (!this.pointer) return { x: 0, y: 0 };
+
+        const dx = point.x - this.pointer.x;
+        const dy = point.y - this.pointer.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance >= radius) return { x: 0, y: 0 };
+
+        const falloff = Math.pow(1 - distance / radius, 2) * strength;
+
+        let direction;
+        if (mode === "bulge" || distance === 0) {
+            const cx = point.x - center.x;
+            const cy = point.y - center.y;
+            const length = Math.hypot(cx, cy) || 1;
+            direction = { x: cx / length, y: cy / length };
+        } else {
+            const sign = mode === "pull" ? -1 : 1;
+            direction = { x: (sign * dx) / distance, y: (sign * dy) / distance };
+        }
+
+        return { x: direction.x * falloff, y: direction.y * falloff };
+    }
+
+    /**
+     * Advance the spring simulation by one frame
+     * @param {number} deltaTime - Milliseconds since the last frame
+     * @param {Array<{x: number, y: number}>} points - Resting vertices in px
+     * @param {{x: number, y: number}} center - Element center in px
+     * @returns {boolean} - Whether any vertex is still moving
+     */
+    step(deltaTime, points, center) {
+        const { stiffness, damping } = this.options;
+
+        if (this.offsets.length !== points.length) {
+            this.offsets = points.map(() => ({ x: 0, y: 0, vx: 0, vy: 0 }));
+        }
+
+        // Normalize to 60fps, capped so a stalled tab doesn't explode the springs
+        const frames = Math.min(deltaTime / (1000 / 60), 4);
+        const friction = Math.pow(damping, frames);
+        let moving = false;
+
+        points.forEach((point, i) => {
+            const target = this.getTarget(point, center);
+            const offset = this.offsets[i];
+
+            offset.vx = (offset.vx + (target.x - offset.x) * stiffness * frames) * friction;
+            offset.vy = (offset.vy + (target.y - offset.y) * stiffness * frames) * friction;
+            offset.x += offset.vx * frames;
+            offset.y += offset.vy * frames;
+
+            const settled = Math.abs(offset.vx) < REST_THRESHOLD && Math.abs(offset.vy) < REST_THRESHOLD &&
+                Math.abs(target.x - offset.x) < REST_THRESHOLD && Math.abs(target.y - offset.y) < REST_THRESHOLD;
+            if (settled) {
+                offset.x = target.x;
+                offset.y = target.y;
+                offset.vx = 0;
+                offset.vy = 0;
+            } else {
+                moving = true;
+            }
+        });
+
+        return moving;
+    }
+
+    /**
+     * Whether all vertices are back at rest
+     * @returns {boolean}
+     */
+    isAtRest() {
+        return this.offsets.every(offset => offset.x === 0 && offset.y === 0);
+    }
+
+    /**
+     * Add the current offsets to a polygon
+     * @param {Array<{x: number, y: number}>} points - Resting vertices in px
+     * @returns {Array<{x: number, y: number}>} - Deformed vertices in px
+     */
+    apply(points) {
+        if (this.offsets.length !== points.length) return points;
+        return points.map((point, i) => ({ x: point.x + this.offsets[i].x, y: point.y + this.offsets[i].y }));
+    }
+}
@@ -1,12 +1,29 @@
 /**
  * Global animation loop using requestAnimationFrame
+ * No frames are requested while the loop is paused or the page is hidden.
  */
 export class Loop {
     constructor() {
         this.items = new Set();
         this.isRunning = false;
+        this.isPaused = false;
+        this.isHidden = false;
         this.frameId = null;
         this.lastTime = 0;
+        this.tick = this.tick.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    }
+
+    /**
+     * Stop requesting frames while the page is hidden, and continue once it is shown
+     */
+    handleVisibilityChange() {
+        this.isHidden = !!document.hidden;
+        if (this.isHidden) {
+            this.cancelFrame();
+        } else {
+            this.requestFrame();
+        }
     }
 
     /**
@@ -37,8 +54,14 @@ export class Loop {
     start() {
         if (this.isRunning) return;
         this.isRunning = true;
-        this.lastTime = performance.now();
-        this.frameId = requestAnimationFrame(this.tick.bind(this));
+
+        // Only listen while running, so importing the loop has no side effects
+        if (typeof document !== "undefined" && typeof document.addEventListener === "function") {
+            this.isHidden = !!document.hidden;
+            document.addEventListener("visibilitychange", this.handleVisibilityChange);
+        }
+
+        this.requestFrame();
     }
 
     /**
@@ -46,6 +69,43 @@ export class Loop {
      */
     stop() {
         this.isRunning = false;
+        this.cancelFrame();
+
+        if (typeof document !== "undefined" && typeof document.removeEventListener === "function") {
+            document.removeEventListener("visibilitychange", this.handleVisibilityChange);
+        }
+    }
+
+    /**
+     * Pause all items, keeping them registered
+     */
+    pause() {
+        this.isPaused = true;
+        this.cancelFrame();
+    }
+
+    /**
+     * Resume after pause()
+     */
+    resume() {
+        this.isPaused = false;
+        this.requestFrame();
+    }
+
+    /**
+     * Request the first frame after starting or resuming
+     * The clock restarts, so the time spent paused or hidden isn't passed on as one huge delta.
+     */
+    requestFrame() {
+        if (!this.isRunning || this.isPaused || this.isHidden || this.frameId) return;
+        this.lastTime = performance.now();
+        this.frameId = requestAnimationFrame(this.tick);
+    }
+
+    /**
+     * Cancel the pending frame
+     */
+    cancelFrame() {
         if (this.frameId) {
             cancelAnimationFrame(this.frameId);
             this.frameId = null;
@@ -57,9 +117,11 @@ export class Loop {
      * @param {number} timestamp 
      */
     tick(timestamp) {
+        this.frameId = null;
         if (!this.isRunning) return;
 
-        const deltaTime = timestamp - this.lastTime;
+        // rAF timestamps can be slightly older than the performance.now() taken when resuming
+        const deltaTime = Math.max(0, timestamp - this.lastTime);
         this.lastTime = timestamp;
 
         this.items.forEach(item => {
@@ -68,7 +130,10 @@ export class Loop {
             }
         });
 
-        this.frameId = requestAnimationFrame(this.tick.bind(this));
+        // Items may have paused, emptied or restarted the loop
+        if (this.isRunning && !this.isPaused && !this.isHidden && !this.frameId) {
+            this.frameId = requestAnimationFrame(this.tick);
+        }
     }
 }
 
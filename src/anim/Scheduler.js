@@ -0,0 +1,89 @@
+// Lower bound for the measured cost of a task, in milliseconds
+const MIN_TASK_COST = 0.05;
+
+/**
+ * Frame scheduler that batches layout reads before DOM writes
+ * Each frame runs the read() of a batch of tasks, then their write(), so writes never
+ * force a reflow for the next read. Batches are sized to fit the frame budget, and the
+ * rest of the queue carries over to the following frames.
+ */
+export class Scheduler {
+    constructor() {
+        this.tasks = new Map(); // Map<key, { read, write }>, in scheduling order
+        this.frameId = null;
+        this.budget = 8; // Milliseconds per frame
+        this.taskCost = 0; // Running average of milliseconds per task
+        this.flush = this.flush.bind(this);
+    }
+
+    /**
+     * Queue a task for the next frames
+     * Scheduling a key that is already queued replaces its task but keeps its place.
+     * @param {object} key - Identifies the task, e.g. the object it updates
+     * @param {object} task - { read, write } functions, both optional
+     */
+    schedule(key, task) {
+        this.tasks.set(key, task);
+
+        if (!this.frameId) {
+            this.frameId = requestAnimationFrame(this.flush);
+        }
+    }
+
+    /**
+     * Remove a queued task
+     * @param {object} key
+     */
+    cancel(key) {
+        this.tasks.delete(key);
+
+        if (this.tasks.size === 0 && this.frameId) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    /**
+     * Set the time per frame spent on queued tasks
+     * At least one task runs per frame, however long it takes.
+     * @param {number} budget - Milliseconds
+     */
+    setBudget(budget) {
+        if (!(budget > 0)) {
+            throw new RangeError("wabi.js: Frame budget must be a positive number of milliseconds");
+        }
+        this.budget = budget;
+    }
+
+    /**
+     * Run as many queued tasks as fit in the budget
+     */
+    flush() {
+        this.frameId = null;
+        const start = performance.now();
+
+        // Until a cost is known, start with a single task
+        const size = this.taskCost > 0 ? Math.max(1, Math.floor(this.budget / this.taskCost)) : 1;
+        const batch = [];
+        for (const [key, task] of this.tasks) {
+            if (batch.length >= size) break;
+            this.tasks.delete(key);
+            batch.push(task);
+        }
+        if (batch.length === 0) return;
+
+        batch.forEach(task => task.read && task.read());
+        batch.forEach(task => task.write && task.write());
+
+        // Timers may be too coarse to measure fast tasks
+        const cost = Math.max((performance.now() - start) / batch.length, MIN_TASK_COST);
+        this.taskCost = this.taskCost > 0 ? this.taskCost * 0.5 + cost * 0.5 : cost;
+
+        if (this.tasks.size > 0 && !this.frameId) {
+            this.frameId = requestAnimationFrame(this.flush);
+        }
+    }
+}
+
+// Singleton instance
+export const scheduler = new Scheduler();
@@ -0,0 +1,24 @@
+/**
+ * Easing functions mapping progress (0-1) to eased progress
+ */
+export const easings = {
+    linear: (t) => t,
+
+    // Cubic ease-in-out
+    "ease-in-out": (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+
+    // Damped oscillation that overshoots and settles on the target
+    spring: (t) => (t >= 1 ? 1 : 1 - Math.exp(-6 * t) * Math.cos(t * Math.PI * 4.5)),
+};
+
+/**
+ * Resolve an easing name or function
+ * @param {string|function} easing - Easing name or custom (t) => t function
+ * @returns {function} - Easing function
+ */
+export function getEasing(easing) {
+    if (typeof easing === "function") {
+        return easing;
+    }
+    return easings[easing] || easings["ease-in-out"];
+}
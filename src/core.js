@@ -0,0 +1,98 @@
+/**
+ * wabi.js/core - DOM-free shape generation
+ *
+ * Safe to use on the server or at build time: nothing here touches
+ * window, document or ResizeObserver.
+ *
+ * @example
+ * import { generateShape } from 'wabijs/core';
+ *
+ * const { clipPath } = generateShape({ corners: { x: 5, y: 4 }, seed: 42 }, { width: 320, height: 200 });
+ * // <div style="clip-path: ${clipPath}"> ... then wabi('.card', { seed: 42 }) hydrates it in the browser
+ */
+
+import { mergeOptions, generatePolygon, generateUnitPolygon } from "./math/polygon.js";
+import {
+  generateClipPath,
+  generateCurvedClipPath,
+  generateBoundingBoxPath,
+  generateSvgClipPath,
+} from "./utils/css.js";
+import { deriveElementSeed } from "./utils/seed.js";
+import { getRNG } from "./utils/random.js";
+import { getActiveBreakpoints, resolveResponsiveOptions } from "./utils/responsive.js";
+import { generateStylesheet, generateVariants } from "./utils/stylesheet.js";
+import { definePreset } from "./utils/presets.js";
+import { registerGenerator, registerModifier } from "./math/generators.js";
+
+/**
+ * Generate a shape's polygon points and CSS clip-path
+ * Element-width keys of the responsive option apply to target.width; media queries need a browser and are skipped.
+ * @param {object} [options] - Same options as wabi()
+ * @param {object} [target] - Size and identity of the element the shape is for
+ * @param {number} [target.width] - Width in px (required for 'px' units; only the aspect ratio matters for '%')
+ * @param {number} [target.height] - Height in px
+ * @param {number} [target.index] - Index within the selection (seedStrategy 'index')
+ * @param {string} [target.id] - Element id (seedStrategy 'id')
+ * @param {string} [target.text] - Element text content (seedStrategy 'content-hash')
+ * @param {string} [target.seedAttribute] - Element's data-wabi-seed attribute value
+ * @param {number} [target.fontSize] - Font size in px for em offsets (default: 16)
+ * @param {number} [target.rootFontSize] - Root font size in px for rem offsets (default: 16)
+ * @param {number} [target.viewportWidth] - Viewport width in px for vw/vmin/vmax offsets
+ * @param {number} [target.viewportHeight] - Viewport height in px for vh/vmin/vmax offsets
+ * @param {object} [target.padding] - Padding plus border in px ({ top, right, bottom, left }) for safeArea: 'padding'
+ * @param {string} [target.clipId] - Id for the SVG clipPath of curved '%' shapes (default: 'wabi-ssr-<seed>')
+ * @returns {{points: Array<{x: number, y: number}>, clipPath: string, seed: number|null, svg?: string}}
+ *   Curved '%' shapes reference an inline SVG clipPath; `svg` holds its markup for the page
+ */
+export function generateShape(options = {}, target = {}) {
+  const base = mergeOptions(options);
+  const merged = resolveResponsiveOptions(base, getActiveBreakpoints(base.responsive, { width: target.width }));
+  const seed = deriveElementSeed(merged, target);
+
+  let { width, height } = target;
+  if (!(width > 0 && height > 0)) {
+    if (merged.units === "px") {
+      throw new Error("wabi.js: width and height are required for px units");
+    }
+    // Without dimensions a % shape is generated for a square
+    width = 1;
+    height = 1;
+  }
+
+  const points = generateUnitPolygon(width, height, { ...merged, seed }, getRNG(seed), target);
+
+  if (merged.edgeStyle === "curved") {
+    if (merged.units === "px") {
+      return { points, clipPath: generateCurvedClipPath(points), seed };
+    }
+
+    // A prefix of its own, so it never collides with the ids of clip paths created in the browser
+    const clipId = target.clipId || `wabi-ssr-${seed ?? "shape"}`;
+    return {
+      points,
+      clipPath: `url(#${clipId})`,
+      seed,
+      svg: generateSvgClipPath(clipId, generateBoundingBoxPath(points)),
+    };
+  }
+
+  return {
+    points,
+    clipPath: generateClipPath(points, merged.units),
+    seed,
+  };
+}
+
+export {
+  mergeOptions,
+  generatePolygon,
+  generateUnitPolygon,
+  generateClipPath,
+  deriveElementSeed,
+  definePreset,
+  registerGenerator,
+  registerModifier,
+  generateStylesheet,
+  generateVariants,
+};
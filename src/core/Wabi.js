@@ -1,16 +1,57 @@
-import { mergeOptions, parseShorthand, generatePolygon } from "../math/polygon.js";
+import { mergeOptions, overrideOptions, parseShorthand, generateUnitPolygon } from "../math/polygon.js";
 import { normalizeSelector } from "../utils/selector.js";
 import { setupResizeObserver } from "../utils/resize.js";
-import { generateClipPath, generateDropShadow } from "../utils/css.js";
+import { setupVisibilityObserver, getScrollProgress, onScroll } from "../utils/visibility.js";
+import { trackPointer, refreshPointerRects } from "../utils/pointer.js";
+import { prefersReducedMotion, onReducedMotionChange } from "../utils/motion.js";
+import { onMediaChange } from "../utils/media.js";
+import {
+    generateClipPath,
+    generateCurvedClipPath,
+    generateBoundingBoxPath,
+    generateDropShadow,
+    parseClipPath,
+    parseCurvedPath
+} from "../utils/css.js";
 import { shadowManager } from "../dom/ShadowManager.js";
+import { svgClipManager } from "../dom/SvgClipManager.js";
+import { layerManager } from "../dom/LayerManager.js";
+import { generateStrokeSvg } from "../utils/stroke.js";
+import { normalizeShadowLayers, getShadowMode, jitterPolygon, generateInsetShadowSvg } from "../utils/shadow.js";
+import { toPixels, toPercent } from "../utils/units.js";
 import { loop } from "../anim/Loop.js";
+import { scheduler } from "../anim/Scheduler.js";
+import { Deformer } from "../anim/Deformer.js";
+import { getEasing } from "../anim/easing.js";
+import { matchPolygons, interpolatePolygon } from "../math/morph.js";
+import { createNoise, createDriftRNG } from "../utils/noise.js";
+import { getRNG, deriveSeed, createRecordingRNG, createReplayRNG } from "../utils/random.js";
+import { resolveSeed } from "../utils/seed.js";
+import { parseWidthCondition, getActiveBreakpoints, resolveResponsiveOptions } from "../utils/responsive.js";
 
 const WABI_INSTANCE = Symbol("wabi.instance");
 
+// Max difference per coordinate (in the element's units) for an existing clip-path to count as ours
+const HYDRATE_TOLERANCE = 0.1;
+
+// Interactive states, highest priority first
+const STATE_PRIORITY = ["active", "focus", "hover"];
+
+// Events for Wabi.on(), dispatched on elements as wabi:<lowercase name>
+const EVENT_TYPES = ["beforeUpdate", "update", "frame", "resize", "restore", "animationEnd"];
+
+// Elements created inside Wabi.batch(), measured and rendered together when it ends
+let pendingElements = null;
+
 class WabiElement {
-    constructor(element, options) {
+    constructor(element, options, index = 0, listeners = new Map()) {
         this.element = element;
-        this.options = options;
+        this.listeners = listeners;
+        this.baseOptions = options;
+        this.breakpoints = this.getBreakpoints();
+        this.options = resolveResponsiveOptions(options, this.breakpoints);
+        this.index = index;
+        this.seed = resolveSeed(element, index, options);
         this.originalStart = {
             clipPath: element.style.clipPath,
             filter: element.style.filter,
@@ -19,120 +60,1176 @@ class WabiElement {
         this.cleanups = [];
         this.isFirstRender = true;
         this.lastAspectRatio = 0;
+        this.polygon = null;
+        this.iteration = null;
+        this.draws = null;
+        this.morph = null;
+        this.breatheState = null;
+        this.strokeColor = null;
+        this.auxSeed = null;
+        this.styleSizes = null;
+        this.size = null;
+        this.hydrated = this.getHydratablePolygon();
+        this.hydratedSize = null;
 
-        // Warn if overwriting
-        if (this.originalStart.clipPath && this.originalStart.clipPath !== "none") {
-            console.warn("wabi.js: Existing clip-path will be overwritten.", element);
+        // Hydration candidates are only verified once the element is measured
+        if (!this.hydrated) {
+            this.warnOverwrite();
         }
 
         this.init();
     }
 
     init() {
-        this.resizeCleanup = setupResizeObserver(this.element, () => this.handleResize(), {
+        this.resizeCleanup = setupResizeObserver(this.element, {
+            read: () => this.measure(),
+            write: () => this.handleResize()
+        }, {
             bypassDebounceOnce: this.isFirstRender
         });
         this.cleanups.push(this.resizeCleanup);
+        this.cleanups.push(() => scheduler.cancel(this));
+
+        this.snapTask = {};
+        this.snappedTransition = null; // Inline transition to put back after a snap
+        this.cleanups.push(() => this.endSnap());
+
+        this.mediaCleanup = null;
+        this.setupMediaListeners();
+        this.cleanups.push(() => this.mediaCleanup && this.mediaCleanup());
+
+        this.morphItem = {
+            update: (deltaTime) => {
+                // Only drive the element's own transitions; animation morphs are stepped by Wabi.animate()
+                if (this.morph && this.morph.selfDriven) {
+                    this.stepMorph(deltaTime);
+                }
+                if (!this.morph || !this.morph.selfDriven) {
+                    loop.remove(this.morphItem);
+                }
+            }
+        };
+        this.cleanups.push(() => loop.remove(this.morphItem));
+
+        this.stateCleanup = null;
+        this.activeStates = new Set();
+        this.currentState = null;
+        this.syncStateListeners();
+        this.cleanups.push(() => {
+            if (this.stateCleanup) this.stateCleanup();
+            this.stateCleanup = null;
+        });
 
-        // Initial render check
-        const w = this.element.offsetWidth;
-        const h = this.element.offsetHeight;
-        if (w > 1 && h > 1) {
+        // Elements count as visible until the observer reports otherwise
+        this.isVisible = true;
+        this.hasEntered = false;
+        this.cleanups.push(setupVisibilityObserver(this.element, visible => this.handleVisibility(visible)));
+
+        this.scrollCleanup = null;
+        this.scrollShapes = null;
+        this.scrollProgress = null;
+        this.renderedScroll = null;
+        this.scrollTask = {
+            read: () => {
+                this.scrollProgress = getScrollProgress(this.element);
+            },
+            write: () => this.renderScroll()
+        };
+        this.syncScrollListener();
+        this.cleanups.push(() => {
+            scheduler.cancel(this.scrollTask);
+            if (this.scrollCleanup) this.scrollCleanup();
+            this.scrollCleanup = null;
+        });
+
+        this.cleanups.push(onReducedMotionChange(() => this.handleMotionChange()));
+
+        this.deformer = null;
+        this.pointerCleanup = null;
+        this.deformItem = { update: (deltaTime) => this.stepDeformation(deltaTime) };
+        this.syncPointerListeners();
+        this.cleanups.push(() => {
+            loop.remove(this.deformItem);
+            if (this.pointerCleanup) this.pointerCleanup();
+            this.pointerCleanup = null;
+            this.deformer = null;
+        });
+
+        // Apply shadow first, so underlays are created next to the (possibly wrapped) element
+        this.updateShadow();
+    }
+
+    /**
+     * Render the first shape, or adopt the hydrated one
+     * Wabi renders all its elements after measuring them all, so creating many elements
+     * doesn't alternate layout reads and writes.
+     */
+    render() {
+        const { width: w, height: h } = this.getSize();
+        if (this.hydrated && !this.adoptHydrated()) {
+            this.hydrated = null;
+            this.warnOverwrite();
+        }
+
+        if (this.hydrated) {
+            // Keep the existing shape instead of re-rolling it, unless a listener changes it
+            this.polygon = this.prepareShape(this.hydrated);
+            this.hydratedSize = { width: w, height: h };
+            this.lastAspectRatio = w / h;
+            this.isFirstRender = false;
+            if (this.polygon !== this.hydrated) {
+                this.renderPolygon();
+            } else {
+                this.updateStroke();
+                this.updateShadowShape();
+            }
+            this.emitUpdate();
+        } else if (w > 1 && h > 1) {
             this.update();
             this.isFirstRender = false;
         }
+    }
 
-        // Apply shadow
-        this.updateShadow();
+    /**
+     * Warn if an author's clip-path is about to be replaced
+     */
+    warnOverwrite() {
+        const clipPath = this.originalStart.clipPath;
+        if (clipPath && clipPath !== "none") {
+            console.warn("wabi.js: Existing clip-path will be overwritten.", this.element);
+        }
+    }
+
+    /**
+     * Check that the existing clip-path is the shape these options and seed produce at the
+     * element's size, so a hand-written or outdated clip-path is never mistaken for ours
+     * @returns {boolean} - Whether the hydrated polygon was adopted
+     */
+    adoptHydrated() {
+        const { width, height } = this.getSize();
+        if (width <= 1 || height <= 1) return false;
+
+        const rng = createRecordingRNG(getRNG(this.seed));
+        const expected = this.generate(rng);
+        const matches = expected.length === this.hydrated.length && expected.every((point, i) =>
+            Math.abs(point.x - this.hydrated[i].x) <= HYDRATE_TOLERANCE &&
+            Math.abs(point.y - this.hydrated[i].y) <= HYDRATE_TOLERANCE
+        );
+        if (!matches) return false;
+
+        // The existing clip-path was ours (e.g. server-rendered), so restore to none
+        this.originalStart.clipPath = "";
+        this.draws = rng.draws;
+        return true;
+    }
+
+    /**
+     * Read an existing seeded clip-path that may be adopted as-is
+     * It must have the form getClipPath() writes for the options: a polygon(), a path() for
+     * curved px shapes or a url() reference to an SVG clipPath for curved % shapes.
+     * @returns {Array<{x: number, y: number}>|null} - Points of the existing polygon, verified by adoptHydrated()
+     */
+    getHydratablePolygon() {
+        if (!this.options.hydrate || this.seed === null) return null;
+
+        const clipPath = this.originalStart.clipPath || "";
+        const { edgeStyle, units } = this.options;
+
+        if (edgeStyle !== "curved") {
+            const parsed = parseClipPath(clipPath);
+            return parsed && parsed.unit === units ? parsed.points : null;
+        }
+
+        if (units === "px") {
+            const match = /^\s*path\(\s*["'](.*)["']\s*\)\s*$/.exec(clipPath);
+            return match ? parseCurvedPath(match[1]) : null;
+        }
+
+        // e.g. the clipPath markup generateShape() returns as `svg` for server rendering
+        const match = /^\s*url\(\s*["']?#([^"')]+)["']?\s*\)\s*$/.exec(clipPath);
+        const path = match && document.getElementById(match[1])?.querySelector("path");
+        return path ? parseCurvedPath(path.getAttribute("d"), 100) : null;
+    }
+
+    /**
+     * Get the responsive keys that match the current viewport and element width
+     * @returns {Array<string>}
+     */
+    getBreakpoints() {
+        if (!this.baseOptions.responsive) return [];
+
+        const matchMedia = typeof window !== "undefined" && window.matchMedia
+            ? query => window.matchMedia(query)
+            : null;
+        return getActiveBreakpoints(this.baseOptions.responsive, { width: this.getSize().width, matchMedia });
+    }
+
+    /**
+     * Listen for changes of the media queries in the responsive option
+     */
+    setupMediaListeners() {
+        if (this.mediaCleanup) {
+            this.mediaCleanup();
+            this.mediaCleanup = null;
+        }
+
+        const responsive = this.baseOptions.responsive;
+        if (!responsive) return;
+
+        const cleanups = Object.keys(responsive)
+            .filter(key => !parseWidthCondition(key))
+            .map(query => onMediaChange(query, () => this.refreshBreakpoints()));
+        this.mediaCleanup = () => cleanups.forEach(fn => fn());
+    }
+
+    /**
+     * Re-apply the options if a different set of breakpoints matches now
+     * @returns {boolean} - Whether the options changed
+     */
+    refreshBreakpoints() {
+        const breakpoints = this.getBreakpoints();
+        if (breakpoints.join("\n") === this.breakpoints.join("\n")) return false;
+
+        this.applyOptions(breakpoints);
+        return true;
     }
 
     handleResize() {
+        // Crossing an element-width breakpoint re-renders with the new options
+        if (!this.refreshBreakpoints()) {
+            const polygon = this.polygon;
+            this.resizeShape();
+
+            // Stroke and underlay are drawn in px, so redraw them when the shape was kept at a new size
+            if (this.polygon === polygon) {
+                this.updateStroke();
+                this.updateShadowShape();
+            }
+        }
+
+        // Resizing may move this and other elements following the pointer
+        refreshPointerRects();
+
+        const { width, height } = this.getSize();
+        this.emit("resize", { width, height });
+    }
+
+    resizeShape() {
+        if (this.hydratedSize) {
+            // Skip the observer's initial callback while the hydrated size still holds
+            const { width, height } = this.hydratedSize;
+            this.hydratedSize = null;
+            if (this.getSize().width === width && this.getSize().height === height) return;
+        }
+
         if (this.options.units === "%") {
-            const currentAspectRatio = this.element.offsetWidth / this.element.offsetHeight;
+            const currentAspectRatio = this.getSize().width / this.getSize().height;
             // Logic to avoid unnecessary updates if aspect ratio hasn't changed enough
             if (!isFinite(this.lastAspectRatio)) this.lastAspectRatio = 0;
 
             if (this.lastAspectRatio === 0 && isFinite(currentAspectRatio) && currentAspectRatio > 0) {
                 this.lastAspectRatio = currentAspectRatio;
                 this.isFirstRender = false;
-                this.update();
+                this.refit();
                 return;
             }
 
             if (Math.abs(currentAspectRatio - this.lastAspectRatio) / this.lastAspectRatio > 0.01) {
                 this.lastAspectRatio = currentAspectRatio;
-                this.update();
+                this.refit();
             }
         } else if (this.options.units === "px") {
+            this.refit();
+        }
+    }
+
+    /**
+     * Fit the shape to a new size
+     * With preserveOnResize the random draws of the current shape are replayed at the
+     * new size, so the shape stays the same; otherwise a new shape is rolled.
+     */
+    refit() {
+        if (!this.options.preserveOnResize || !this.draws) {
             this.update();
+            return;
+        }
+
+        this.morph = null;
+        this.applyPolygon(this.generateCurrent());
+    }
+
+    /**
+     * Add or remove the pointer, focus and key listeners of the states option
+     */
+    syncStateListeners() {
+        if (this.options.states && !this.stateCleanup) {
+            const element = this.element;
+            const isPressKey = event => event.key === "Enter" || event.key === " ";
+            const toggle = (name, active) => {
+                if (active) {
+                    this.activeStates.add(name);
+                } else {
+                    this.activeStates.delete(name);
+                }
+            };
+            const listeners = [
+                ["pointerenter", () => toggle("hover", true)],
+                ["pointerleave", () => {
+                    toggle("hover", false);
+                    toggle("active", false);
+                }],
+                ["pointerdown", () => toggle("active", true)],
+                ["pointerup", () => toggle("active", false)],
+                ["pointercancel", () => toggle("active", false)],
+                // focusin/focusout also cover focusable children, e.g. a link inside a card
+                ["focusin", () => toggle("focus", true)],
+                ["focusout", event => toggle("focus", element.contains(event.relatedTarget))],
+                // Keyboard presses count as active, like :active on buttons
+                ["keydown", event => isPressKey(event) && toggle("active", true)],
+                ["keyup", event => isPressKey(event) && toggle("active", false)]
+            ].map(([type, handler]) => [type, event => {
+                handler(event);
+                this.refreshState();
+            }]);
+
+            listeners.forEach(([type, handler]) => element.addEventListener(type, handler));
+            this.stateCleanup = () => listeners.forEach(([type, handler]) => element.removeEventListener(type, handler));
+        } else if (!this.options.states && this.stateCleanup) {
+            this.stateCleanup();
+            this.stateCleanup = null;
+            this.activeStates.clear();
+        }
+
+        this.currentState = this.pickState();
+    }
+
+    /**
+     * Add or remove the pointer tracking of the pointer option
+     * Vertices within the radius react even while the pointer is outside the element,
+     * so movement is tracked on the window, shared by all elements.
+     */
+    syncPointerListeners() {
+        const pointerOptions = this.options.pointer;
+
+        if (this.pointerCleanup) {
+            this.pointerCleanup();
+            this.pointerCleanup = null;
+        }
+
+        if (!pointerOptions || this.isMotionReduced() || typeof window === "undefined") {
+            loop.remove(this.deformItem);
+            this.deformer = null;
+            return;
+        }
+
+        // Keep the vertex state across option changes, only the settings change
+        const deformer = new Deformer(typeof pointerOptions === "object" ? pointerOptions : {});
+        if (this.deformer) {
+            deformer.offsets = this.deformer.offsets;
+        }
+        this.deformer = deformer;
+
+        const setPointer = (pointer) => {
+            deformer.pointer = pointer;
+            loop.add(this.deformItem);
+        };
+        this.pointerCleanup = trackPointer(this.element, (pointer) => {
+            const { radius } = deformer.options;
+            const isNear = pointer && pointer.x > -radius && pointer.y > -radius &&
+                pointer.x < pointer.rect.width + radius && pointer.y < pointer.rect.height + radius;
+
+            if (isNear) {
+                setPointer({ x: pointer.x, y: pointer.y });
+            } else if (deformer.pointer) {
+                setPointer(null);
+            }
+        });
+    }
+
+    /**
+     * Advance the pointer deformation by one frame and render it
+     * @param {number} deltaTime - Milliseconds since last frame
+     */
+    stepDeformation(deltaTime) {
+        if (!this.deformer || !this.polygon) {
+            loop.remove(this.deformItem);
+            return;
+        }
+
+        const { width, height } = this.getSize();
+        const moving = this.deformer.step(deltaTime, this.toPixelPolygon(this.polygon), { x: width / 2, y: height / 2 });
+        this.renderPolygon();
+
+        if (!moving) {
+            loop.remove(this.deformItem);
+        }
+    }
+
+    /**
+     * Get the highest-priority active state that has options
+     * @returns {string|null} - 'active' | 'focus' | 'hover' or null when resting
+     */
+    pickState() {
+        const states = this.options.states;
+        if (!states) return null;
+        return STATE_PRIORITY.find(name => this.activeStates.has(name) && states[name]) || null;
+    }
+
+    /**
+     * Transition to the shape of the current state, or back to the resting shape
+     */
+    refreshState() {
+        const state = this.pickState();
+        if (state === this.currentState) return;
+
+        this.currentState = state;
+        if (!this.polygon) return;
+
+        const { transition = true } = this.options.states || {};
+        const morphOptions = !this.isMotionReduced() && normalizeMorphOptions(transition, 200);
+        this.transitionTo(this.generateCurrent(), morphOptions || { duration: 0 });
+    }
+
+    /**
+     * Morph to a target shape, stepped by the element itself rather than by Wabi.animate()
+     * @param {Array<{x: number, y: number}>} target - Target polygon
+     * @param {object} morphOptions - { duration, easing }
+     */
+    transitionTo(target, morphOptions) {
+        this.morphTo(target, morphOptions);
+        if (this.morph) {
+            this.morph.selfDriven = true;
+            loop.add(this.morphItem);
+        }
+    }
+
+    /**
+     * Track whether the element is in the viewport and play the onEnter transition
+     * @param {boolean} visible - Whether the element intersects the viewport
+     */
+    handleVisibility(visible) {
+        const wasPending = this.isEnterPending();
+        this.isVisible = visible;
+
+        if (wasPending && this.polygon) {
+            if (visible) {
+                const { duration, easing } = normalizeEnterOptions(this.options.onEnter);
+                this.hasEntered = true;
+                // Start from the distorted shape even if the element was never offscreen
+                this.morph = null;
+                this.applyPolygon(this.generateEnter());
+                this.transitionTo(this.generateCurrent(), { duration, easing });
+            } else {
+                this.morph = null;
+                this.applyPolygon(this.generateCurrent());
+            }
+        }
+
+        if (visible && this.options.scroll) {
+            scheduler.schedule(this.scrollTask, this.scrollTask);
+        }
+    }
+
+    /**
+     * Whether the element should wait offscreen in its onEnter shape
+     * @returns {boolean}
+     */
+    isEnterPending() {
+        const onEnter = this.options.onEnter;
+        if (!onEnter || this.isMotionReduced()) return false;
+        return !(this.hasEntered && normalizeEnterOptions(onEnter).once);
+    }
+
+    /**
+     * Add or remove the scroll listener of the scroll option
+     * Scroll events only schedule a frame; the shape is rendered once per frame in the loop.
+     */
+    syncScrollListener() {
+        this.scrollShapes = null;
+        this.scrollProgress = null;
+        this.renderedScroll = null;
+
+        if (this.options.scroll && !this.scrollCleanup && typeof window !== "undefined") {
+            this.scrollCleanup = onScroll(() => {
+                if (this.isVisible) scheduler.schedule(this.scrollTask, this.scrollTask);
+            });
+        } else if (!this.options.scroll && this.scrollCleanup) {
+            this.scrollCleanup();
+            this.scrollCleanup = null;
+            scheduler.cancel(this.scrollTask);
+        }
+    }
+
+    /**
+     * Render the scroll-linked shape for the current scroll position
+     */
+    renderScroll() {
+        // States and running transitions take precedence over scrolling
+        if (!this.hasScrollShape() || !this.polygon || this.currentState || this.isEnterPending()) return;
+        if (this.morph && this.morph.selfDriven) return;
+
+        const progress = this.getScrollProgress();
+        if (progress === this.renderedScroll) return;
+
+        // Scroll-linked shapes are frames in between the from and to shapes
+        this.morph = null;
+        this.polygon = this.generateScroll(progress);
+        this.renderPolygon();
+    }
+
+    /**
+     * Interpolate between the shapes of the scroll option's from and to options
+     * Both shapes use the resting shape's random values, so only the options change with scrolling.
+     * @param {number} progress - Scroll progress from 0 to 1
+     * @returns {Array<{x: number, y: number}>}
+     */
+    generateScroll(progress) {
+        const { from, to, easing } = normalizeScrollOptions(this.options.scroll);
+
+        if (!this.scrollShapes) {
+            const shapeFor = partial => this.generate(this.createReplayRNG(), partial ? overrideOptions(this.options, partial) : this.options);
+            this.scrollShapes = matchPolygons(shapeFor(from), shapeFor(to));
+        }
+
+        this.renderedScroll = progress;
+        const [fromShape, toShape] = this.scrollShapes;
+        return interpolatePolygon(fromShape, toShape, getEasing(easing)(progress));
+    }
+
+    /**
+     * Generate the shape an onEnter element waits in offscreen
+     * @returns {Array<{x: number, y: number}>}
+     */
+    generateEnter() {
+        const { from } = normalizeEnterOptions(this.options.onEnter);
+        return this.generate(this.createReplayRNG(), overrideOptions(this.options, from));
+    }
+
+    /**
+     * Generate the shape to show now from the recorded draws: the onEnter shape while
+     * waiting offscreen, the active state's shape, the scroll-linked shape or the resting shape
+     * @returns {Array<{x: number, y: number}>}
+     */
+    generateCurrent() {
+        this.scrollShapes = null;
+
+        if (this.isEnterPending() && !this.isVisible) return this.generateEnter();
+        if (this.currentState) return this.generateState(this.currentState);
+        if (this.hasScrollShape()) return this.generateScroll(this.getScrollProgress());
+        return this.generate(this.createReplayRNG());
+    }
+
+    /**
+     * Scroll progress through the viewport, as last measured
+     * @returns {number} - Progress from 0 to 1
+     */
+    getScrollProgress() {
+        if (this.scrollProgress === null) {
+            this.scrollProgress = getScrollProgress(this.element);
+        }
+        return this.scrollProgress;
+    }
+
+    /**
+     * Whether the shape follows the scroll position
+     * @returns {boolean}
+     */
+    hasScrollShape() {
+        return !!this.options.scroll && !this.isMotionReduced();
+    }
+
+    /**
+     * Whether the element should stay still for a user who prefers reduced motion
+     * @returns {boolean}
+     */
+    isMotionReduced() {
+        return !!this.options.respectReducedMotion && prefersReducedMotion();
+    }
+
+    /**
+     * Settle on a static shape, or re-enable motion, when the reduced motion preference changes
+     */
+    handleMotionChange() {
+        this.syncPointerListeners();
+        if (!this.polygon) return;
+
+        this.morph = null;
+        this.applyPolygon(this.generateCurrent());
+    }
+
+    /**
+     * Whether Wabi.animate() should reshape the element
+     * @returns {boolean}
+     */
+    canAnimate() {
+        return this.isVisible && !this.isMotionReduced();
+    }
+
+    /**
+     * Call the Wabi.on() listeners of an event, then dispatch it on the element
+     * Listeners and the DOM event share the detail object, so both can see and change it.
+     * @param {string} type - One of EVENT_TYPES
+     * @param {object} [detail] - Event details, besides the element
+     * @returns {object} - The detail object after all listeners ran
+     */
+    emit(type, detail = {}) {
+        const eventDetail = { element: this.element, ...detail };
+        const listeners = this.listeners.get(type);
+
+        if (listeners) {
+            listeners.forEach(listener => {
+                const result = listener(eventDetail);
+                // beforeUpdate listeners may return replacement points
+                if (type === "beforeUpdate" && Array.isArray(result)) {
+                    eventDetail.points = result;
+                }
+            });
+        }
+
+        if (typeof CustomEvent === "function") {
+            this.element.dispatchEvent(new CustomEvent(`wabi:${type.toLowerCase()}`, { bubbles: true, detail: eventDetail }));
+        }
+        return eventDetail;
+    }
+
+    /**
+     * Random number generator that replays the draws of the current shape
+     * @returns {function}
+     */
+    createReplayRNG() {
+        return createReplayRNG(this.draws || [], getRNG(this.seed));
+    }
+
+    /**
+     * Generate the shape of a state: the resting shape's random values with the state's options
+     * @param {string} state - 'active' | 'focus' | 'hover'
+     * @returns {Array<{x: number, y: number}>}
+     */
+    generateState(state) {
+        const options = overrideOptions(this.options, this.options.states[state]);
+        return this.generate(this.createReplayRNG(), options);
+    }
+
+    /**
+     * Element size in px, as last measured
+     * @returns {{width: number, height: number}}
+     */
+    getSize() {
+        if (!this.size) {
+            this.size = { width: this.element.offsetWidth, height: this.element.offsetHeight };
+        }
+        return this.size;
+    }
+
+    /**
+     * Read everything rendering depends on from layout and styles
+     * Run before a batch of writes, so rendering itself never forces a reflow.
+     */
+    measure() {
+        this.size = null;
+        this.styleSizes = null;
+        this.scrollProgress = null;
+
+        this.getSize();
+        this.getLengthContext();
+        if (this.options.scroll) {
+            this.getScrollProgress();
+        }
+        if (this.options.stroke) {
+            this.getStrokeColor();
+        }
+        if (this.getUnderlayLayers().length > 0) {
+            shadowManager.measure(this.element);
+        }
+    }
+
+    /**
+     * Queue a new shape in the shared frame scheduler
+     */
+    scheduleUpdate() {
+        scheduler.schedule(this, {
+            read: () => this.measure(),
+            write: () => this.update()
+        });
+    }
+
+    /**
+     * Font, viewport and padding sizes for offsets given in em, rem or viewport units
+     * and for safeArea: 'padding'. Styles are read once and refreshed by measure() and option
+     * changes; the viewport size is read live, since it changes without the element resizing.
+     * @returns {object} - { fontSize, rootFontSize, viewportWidth, viewportHeight, padding }
+     */
+    getLengthContext() {
+        if (!this.styleSizes) {
+            const computed = window.getComputedStyle(this.element);
+            const rootFontSize = parseFloat(window.getComputedStyle(document.documentElement).fontSize);
+            // Padding plus border, so the content box stays unclipped
+            const inset = side => (parseFloat(computed[`padding${side}`]) || 0) + (parseFloat(computed[`border${side}Width`]) || 0);
+
+            this.styleSizes = {
+                fontSize: parseFloat(computed.fontSize) || 16,
+                rootFontSize: rootFontSize || 16,
+                padding: { top: inset("Top"), right: inset("Right"), bottom: inset("Bottom"), left: inset("Left") }
+            };
         }
+
+        return { ...this.styleSizes, viewportWidth: window.innerWidth, viewportHeight: window.innerHeight };
+    }
+
+    /**
+     * Seed for secondary randomness (stroke jitter, hard shadows) that must stay stable across redraws
+     * @param {string} key - What the seed is for
+     * @returns {number}
+     */
+    getAuxSeed(key) {
+        if (this.auxSeed === null) {
+            this.auxSeed = this.seed ?? Math.floor(Math.random() * 4294967296);
+        }
+        return deriveSeed(this.auxSeed, key);
+    }
+
+    /**
+     * Draw, update or remove the stroke outline for the current polygon
+     */
+    updateStroke() {
+        const stroke = this.options.stroke;
+        if (!stroke || !this.polygon) {
+            layerManager.remove(this.element, "stroke");
+            return;
+        }
+
+        const { width: w, height: h } = this.getSize();
+        if (w <= 1 || h <= 1) return;
+
+        const svg = generateStrokeSvg(this.getPixelPolygon(), w, h, { ...stroke, color: this.getStrokeColor() }, {
+            rng: getRNG(this.getAuxSeed("stroke")),
+            curved: this.options.edgeStyle === "curved",
+        });
+        layerManager.set(this.element, "stroke", svg);
+    }
+
+    /**
+     * Stroke color, defaulting to the element's text color
+     * Resolved once so redraws don't re-read styles.
+     * @returns {string}
+     */
+    getStrokeColor() {
+        if (!this.strokeColor) {
+            this.strokeColor = this.options.stroke.color || window.getComputedStyle(this.element).color;
+        }
+        return this.strokeColor;
     }
 
     updateShadow() {
         const dropShadow = generateDropShadow(this.options.shadow);
-        if (dropShadow) {
+
+        // Underlays are recreated next to the element below
+        shadowManager.removeUnderlay(this.element);
+
+        if (dropShadow && getShadowMode(this.options.shadow) === "wrapper") {
             shadowManager.wrap(this.element, dropShadow, this.options);
         } else {
             shadowManager.unwrap(this.element);
         }
+
+        this.updateShadowShape();
+
+        // Wrapping moves the element, so its underlay is re-measured in the next frame
+        shadowManager.resync(this.element);
+    }
+
+    /**
+     * Shadow layers drawn by an underlay: hard layers, and all outer layers outside wrapper mode
+     * @param {Array<object>} [layers] - Normalized shadow layers
+     * @returns {Array<object>}
+     */
+    getUnderlayLayers(layers = normalizeShadowLayers(this.options.shadow)) {
+        const mode = getShadowMode(this.options.shadow);
+        return layers.filter(layer => !layer.inset && (layer.hard || mode !== "wrapper"));
+    }
+
+    /**
+     * Redraw shadow layers that follow the current polygon: underlays and inset shadows
+     * Wrapper drop-shadows follow the clip-path by themselves
+     */
+    updateShadowShape() {
+        const layers = normalizeShadowLayers(this.options.shadow);
+        const mode = getShadowMode(this.options.shadow);
+        const curved = this.options.edgeStyle === "curved";
+
+        const underlayLayers = this.getUnderlayLayers(layers);
+        const insetLayers = layers.filter(layer => layer.inset);
+
+        if (underlayLayers.length === 0) {
+            shadowManager.removeUnderlay(this.element);
+        }
+        if (insetLayers.length === 0) {
+            layerManager.remove(this.element, "inset-shadow");
+        }
+
+        if (!this.polygon) return;
+
+        const { width: w, height: h } = this.getSize();
+        if (w <= 1 || h <= 1) return;
+
+        const points = this.getPixelPolygon();
+
+        if (underlayLayers.length > 0) {
+            shadowManager.underlay(this.element, underlayLayers.map(layer => ({
+                ...layer,
+                // Hard offset layers get their own jitter so they aren't a perfect copy
+                points: layer.hard
+                    ? jitterPolygon(points, layer.jitter, getRNG(layer.seed ?? this.getAuxSeed(`shadow:${layers.indexOf(layer)}`)))
+                    : points,
+            })), { mode: mode === "svg-filter" ? "svg-filter" : "underlay", curved });
+        }
+
+        if (insetLayers.length > 0) {
+            layerManager.set(this.element, "inset-shadow", generateInsetShadowSvg(points, w, h, insetLayers, { curved }));
+        }
+    }
+
+    /**
+     * Displayed polygon (including pointer deformation) converted to px
+     * @returns {Array<{x: number, y: number}>}
+     */
+    getPixelPolygon() {
+        const pixels = this.toPixelPolygon(this.polygon);
+        return this.deformer ? this.deformer.apply(pixels) : pixels;
+    }
+
+    /**
+     * Convert a polygon in the element's units to px
+     * @param {Array<{x: number, y: number}>} polygon
+     * @returns {Array<{x: number, y: number}>}
+     */
+    toPixelPolygon(polygon) {
+        if (this.options.units !== "%") return polygon;
+
+        const { width: w, height: h } = this.getSize();
+        return polygon.map(p => ({ x: toPixels(p.x, w, "%"), y: toPixels(p.y, h, "%") }));
+    }
+
+    /**
+     * Get the polygon as displayed: the shape plus any pointer deformation
+     * @returns {Array<{x: number, y: number}>} - Points in the element's units
+     */
+    getDisplayedPolygon() {
+        if (!this.deformer || this.deformer.isAtRest()) return this.polygon;
+
+        const deformed = this.getPixelPolygon();
+        if (this.options.units !== "%") return deformed;
+
+        const { width: w, height: h } = this.getSize();
+        return deformed.map(p => ({ x: toPercent(p.x, w), y: toPercent(p.y, h) }));
+    }
+
+    /**
+     * Generate a new polygon for the element's current size
+     * @param {function} [rng] - Random number generator (defaults to one from the element's seed)
+     * @param {object} [options] - Options to generate with (defaults to the element's options)
+     * @returns {Array<{x: number, y: number}>} - Points in the element's units
+     */
+    generate(rng = getRNG(this.seed), options = this.options) {
+        const { width, height } = this.getSize();
+        return generateUnitPolygon(width, height, options, rng, this.getLengthContext());
+    }
+
+    /**
+     * Generate a new shape and keep its draws as the current ones
+     * Every shape that is committed goes through here, so resizes and states re-project
+     * the shape that is actually shown rather than an older one.
+     * @param {function} [rng] - Random number generator (defaults to one from the element's seed)
+     * @returns {Array<{x: number, y: number}>} - Points in the element's units
+     */
+    roll(rng = getRNG(this.seed)) {
+        const recording = createRecordingRNG(rng);
+        const polygon = this.generate(recording);
+        this.draws = recording.draws;
+        return polygon;
     }
 
     update() {
-        let polygon;
+        this.morph = null;
 
-        if (this.options.units === "%") {
-            const w = this.element.offsetWidth;
-            const h = this.element.offsetHeight;
-            const base = Math.sqrt(w * h);
-            const genWidth = (w / base) * 100;
-            const genHeight = (h / base) * 100;
-
-            polygon = generatePolygon(genWidth, genHeight, this.options);
-
-            // Normalize back to 0-100%
-            polygon = polygon.map(p => ({
-                x: (p.x / genWidth) * 100,
-                y: (p.y / genHeight) * 100
-            }));
-        } else {
-            polygon = generatePolygon(this.element.offsetWidth, this.element.offsetHeight, this.options);
+        const polygon = this.roll();
+
+        const isResting = !this.currentState && !this.hasScrollShape() && !(this.isEnterPending() && !this.isVisible);
+        this.applyPolygon(isResting ? polygon : this.generateCurrent());
+    }
+
+    /**
+     * Write a new shape to the element's clip-path
+     * @param {Array<{x: number, y: number}>} polygon
+     */
+    applyPolygon(polygon) {
+        this.polygon = this.prepareShape(polygon);
+        this.renderPolygon();
+        this.emitUpdate();
+    }
+
+    /**
+     * Size details shared by the shape events
+     * @returns {object} - { width, height, units } plus `iteration` while animating
+     */
+    getEventContext() {
+        const { width, height } = this.getSize();
+        const context = { width, height, units: this.options.units };
+        if (this.iteration !== null) {
+            context.iteration = this.iteration;
+        }
+        return context;
+    }
+
+    /**
+     * Let beforeUpdate listeners replace a new shape before it is shown
+     * @param {Array<{x: number, y: number}>} polygon
+     * @returns {Array<{x: number, y: number}>}
+     */
+    prepareShape(polygon) {
+        const { points } = this.emit("beforeUpdate", { points: polygon, ...this.getEventContext() });
+        return Array.isArray(points) ? points : polygon;
+    }
+
+    /**
+     * Announce that a new shape is fully shown
+     * `polygon` is kept next to `points` for listeners written against the earlier event detail.
+     */
+    emitUpdate() {
+        const points = this.getDisplayedPolygon();
+        this.emit("update", { points, polygon: points, ...this.getEventContext() });
+    }
+
+    /**
+     * Write the displayed polygon to the clip-path, stroke and shadows
+     * Every write emits 'frame', including the in-between frames of morphs, scrolling and
+     * pointer deformation that don't count as new shapes.
+     */
+    renderPolygon() {
+        // Write only: sizes come from the last measure(), so no reflow is forced here
+        const points = this.getDisplayedPolygon();
+        this.snapTransition();
+        this.element.style.clipPath = this.getClipPath(points);
+
+        this.updateStroke();
+        this.updateShadowShape();
+
+        this.emit("frame", { points, ...this.getEventContext() });
+    }
+
+    /**
+     * Turn off transitions while the clip-path is written, so shapes snap into place
+     * The inline transition is put back by a write in a later frame, once the new clip-path
+     * has been styled without it, so no reflow is forced in between.
+     */
+    snapTransition() {
+        if (this.snappedTransition === null) {
+            this.snappedTransition = this.element.style.transition;
+            this.element.style.transition = "none";
+        }
+
+        // A task scheduled now may still run in this frame, so the restore waits one more flush
+        scheduler.schedule(this.snapTask, {
+            write: () => scheduler.schedule(this.snapTask, { write: () => this.endSnap() })
+        });
+    }
+
+    /**
+     * Put back the inline transition turned off by snapTransition()
+     */
+    endSnap() {
+        scheduler.cancel(this.snapTask);
+        if (this.snappedTransition === null) return;
+
+        this.element.style.transition = this.snappedTransition;
+        this.snappedTransition = null;
+    }
+
+    /**
+     * Build the clip-path value for a polygon according to edgeStyle
+     * @param {Array<{x: number, y: number}>} polygon
+     * @returns {string} - CSS clip-path value
+     */
+    getClipPath(polygon) {
+        if (this.options.edgeStyle !== "curved") {
+            svgClipManager.remove(this.element);
+            return generateClipPath(polygon, this.options.units);
+        }
+
+        if (this.options.units === "px") {
+            svgClipManager.remove(this.element);
+            return generateCurvedClipPath(polygon);
+        }
+
+        // path() has no % support, so reference an inline SVG clipPath instead
+        return svgClipManager.set(this.element, generateBoundingBoxPath(polygon));
+    }
+
+    /**
+     * Start interpolating from the current shape towards a target polygon
+     * @param {Array<{x: number, y: number}>} target - Target polygon
+     * @param {object} morphOptions - { duration, easing }
+     */
+    morphTo(target, morphOptions) {
+        if (!this.polygon || morphOptions.duration <= 0) {
+            this.morph = null;
+            this.applyPolygon(target);
+            return;
+        }
+
+        // The target is the new shape; 'update' follows once it is reached
+        const shape = this.prepareShape(target);
+        const [from, to] = matchPolygons(this.polygon, shape);
+        this.morph = {
+            from,
+            to,
+            target: shape,
+            elapsed: 0,
+            duration: morphOptions.duration,
+            easing: getEasing(morphOptions.easing),
+        };
+    }
+
+    /**
+     * Advance the current morph
+     * @param {number} deltaTime - Milliseconds since last frame
+     */
+    stepMorph(deltaTime) {
+        const morph = this.morph;
+        if (!morph) return;
+
+        morph.elapsed += deltaTime;
+        const progress = Math.min(morph.elapsed / morph.duration, 1);
+
+        if (progress >= 1) {
+            // Settle on the original target so vertex counts don't keep growing
+            this.morph = null;
+            this.polygon = morph.target;
+            this.renderPolygon();
+            this.emitUpdate();
+            return;
         }
 
-        const clipPath = generateClipPath(polygon, this.options.units);
+        this.polygon = interpolatePolygon(morph.from, morph.to, morph.easing(progress));
+        this.renderPolygon();
+    }
+
+    /**
+     * Render the noise-driven shape for a point in time
+     * Deterministic for a given seed and time; unseeded elements pick a seed once
+     * @param {number} time - Milliseconds since the animation started
+     * @param {object} breatheOptions - { speed, amplitude }
+     */
+    breathe(time, breatheOptions) {
+        if (!this.breatheState) {
+            const seed = this.seed ?? Math.floor(Math.random() * 4294967296);
+            this.breatheState = { seed, noise: createNoise(seed) };
+        }
 
-        // Disable transition for instant snap
-        const prevTransition = this.element.style.transition;
-        this.element.style.transition = "none";
-        this.element.style.clipPath = clipPath;
-        this.element.offsetHeight; // Force reflow
-        this.element.style.transition = prevTransition;
+        const { seed, noise } = this.breatheState;
+        const rng = createDriftRNG(seed, time, { ...breatheOptions, noise });
+        this.morph = null;
+        this.applyPolygon(this.roll(rng));
     }
 
     setOptions(newOptions) {
-        this.options = mergeOptions({ ...this.options, ...newOptions });
-        // Special merge logic for sub-objects already handled in mergeOptions? 
-        // Actually mergeOptions in polygon.js does a shallow merge of top keys but deep merge of corners/edges?
-        // Let's verify mergeOptions logic. It does minimal merging.
-        // Ideally we should do a proper merge here if needed, but for now relying on replacement or mergeOptions is fine.
-        // The previous implementation did a manual deep merge. I should probably replicate that.
+        this.baseOptions = mergeOptions({ ...this.baseOptions, ...newOptions });
+        this.setupMediaListeners();
+        this.applyOptions(this.getBreakpoints());
+    }
+
+    /**
+     * Resolve the effective options for a set of breakpoints and re-render
+     * @param {Array<string>} breakpoints - Active responsive keys
+     */
+    applyOptions(breakpoints) {
+        this.breakpoints = breakpoints;
+        this.options = resolveResponsiveOptions(this.baseOptions, breakpoints);
+        this.seed = resolveSeed(this.element, this.index, this.options);
+        this.breatheState = null;
+        this.strokeColor = null;
+        this.auxSeed = null;
+        this.styleSizes = null;
+        this.syncStateListeners();
+        this.syncPointerListeners();
+        this.syncScrollListener();
 
         this.update();
         this.updateShadow();
     }
 
     restore() {
-        shadowManager.unwrap(this.element);
+        this.morph = null;
+        shadowManager.remove(this.element);
+        svgClipManager.remove(this.element);
+        layerManager.clear(this.element);
         this.element.style.clipPath = this.originalStart.clipPath;
 
         this.cleanups.forEach(fn => fn());
         this.cleanups = [];
+        this.emit("restore");
     }
 }
 
+/**
+ * Normalize the morph animation option
+ * @param {boolean|object|undefined} morph - Morph option
+ * @param {number} interval - Animation interval, used as default duration
+ * @returns {object|null} - { duration, easing } or null when disabled
+ */
+function normalizeMorphOptions(morph, interval) {
+    if (!morph) return null;
+
+    const { duration = interval, easing = "ease-in-out" } = typeof morph === "object" ? morph : {};
+    return { duration, easing };
+}
+
+/**
+ * Normalize the onEnter option
+ * @param {boolean|object} onEnter - onEnter option
+ * @returns {object} - { from, duration, easing, once }
+ */
+function normalizeEnterOptions(onEnter) {
+    const {
+        from = { corners: { x: 10, y: 10 } },
+        duration = 600,
+        easing = "ease-in-out",
+        once = true
+    } = typeof onEnter === "object" ? onEnter : {};
+    return { from, duration, easing, once };
+}
+
+/**
+ * Normalize the scroll option
+ * @param {object} scroll - scroll option
+ * @returns {object} - { from, to, easing }, where a missing from/to means the element's own options
+ */
+function normalizeScrollOptions(scroll) {
+    const { from = null, to = null, easing = "linear" } = typeof scroll === "object" ? scroll : {};
+    return { from, to, easing };
+}
+
+/**
+ * Normalize the breathe animation option
+ * @param {boolean|object|undefined} breathe - Breathe option
+ * @returns {object|null} - { speed, amplitude } or null when disabled
+ */
+function normalizeBreatheOptions(breathe) {
+    if (!breathe) return null;
+
+    const { speed = 0.5, amplitude = 0.5 } = typeof breathe === "object" ? breathe : {};
+    return { speed, amplitude };
+}
+
 export class Wabi {
     constructor(selector, optionsOrCornerX, cornerY, edgePoints) {
         this.elements = normalizeSelector(selector);
         this.wabiElements = [];
+        this.listeners = new Map(); // Map<type, Set<function>>
+        this.animationItem = null;
+        this.motionCleanup = null;
+        this.isPaused = false;
+        this.rate = 1;
 
         if (this.elements.length === 0) {
             return;
@@ -141,12 +1238,14 @@ export class Wabi {
         let options;
         if (typeof optionsOrCornerX === "object" && optionsOrCornerX !== null) {
             options = mergeOptions(optionsOrCornerX);
+        } else if (typeof optionsOrCornerX === "string") {
+            options = mergeOptions({ preset: optionsOrCornerX });
         } else {
             const shorthand = parseShorthand([selector, optionsOrCornerX, cornerY, edgePoints]);
             options = mergeOptions(shorthand);
         }
 
-        this.wabiElements = this.elements.map(el => {
+        this.wabiElements = this.elements.map((el, index) => {
             // Check for existing instance and restore it? 
             // Or just overwrite? Current logic overwrite but warns.
             // We'll create a new helper.
@@ -154,16 +1253,50 @@ export class Wabi {
                 el[WABI_INSTANCE].restore();
             }
 
-            const wabiEl = new WabiElement(el, options);
+            const wabiEl = new WabiElement(el, options, index, this.listeners);
             el[WABI_INSTANCE] = wabiEl;
             return wabiEl;
         });
 
-        this.animationItem = null;
+        if (pendingElements) {
+            pendingElements.push(...this.wabiElements);
+            return;
+        }
+
+        // All reads, then all writes
+        this.wabiElements.forEach(el => el.measure());
+        this.wabiElements.forEach(el => el.render());
     }
 
+    /**
+     * Create several instances with a single layout read and write pass
+     * Instances created in the callback render their first shapes once it returns: all
+     * elements are measured first, then all are rendered.
+     * @param {function} callback - Creates the instances
+     */
+    static batch(callback) {
+        const outer = pendingElements;
+        const elements = [];
+        pendingElements = elements;
+
+        try {
+            callback();
+        } finally {
+            pendingElements = outer;
+        }
+
+        // Restored elements were measured before, but have nothing to render anymore
+        const live = elements.filter(el => el.cleanups.length > 0);
+        live.forEach(el => el.measure());
+        live.forEach(el => el.render());
+    }
+
+    /**
+     * Reshape all elements
+     * New shapes are spread across frames by the shared scheduler, within its frame budget.
+     */
     update() {
-        this.wabiElements.forEach(el => el.update());
+        this.wabiElements.forEach(el => el.scheduleUpdate());
     }
 
     restore() {
@@ -177,47 +1310,227 @@ export class Wabi {
 
     setOptions(newOptions) {
         this.wabiElements.forEach(el => {
-            // Manual deep merge replication from apply.js to ensure safety
-            const current = el.options;
-            const mergedBase = {
-                ...current,
-                ...newOptions,
-                corners: { ...current.corners, ...(newOptions.corners || {}) },
-                edges: { ...current.edges, ...(newOptions.edges || {}) },
-                cutCorners: newOptions.cutCorners ?? current.cutCorners,
-                cornerChamfer: newOptions.cornerChamfer ?? current.cornerChamfer,
-            };
+            el.setOptions(overrideOptions(el.baseOptions, newOptions));
+        });
+        this.syncAnimationItem();
+    }
 
-            if (newOptions.shadow === false) {
-                mergedBase.shadow = false;
-            } else if (newOptions.shadow && typeof newOptions.shadow === "object") {
-                mergedBase.shadow = { ...(current.shadow || {}), ...newOptions.shadow };
-            }
+    /**
+     * Listen to shape changes of all elements of this instance
+     * Listeners receive a detail object with the element. 'beforeUpdate', 'update' and 'frame'
+     * also get the polygon `points` in the element's units plus its `width`, `height` and `units`;
+     * a 'beforeUpdate' listener may return changed points to apply instead. 'beforeUpdate' and
+     * 'update' fire once per new shape, 'frame' on every clip-path write. 'resize' gets the
+     * new `width` and `height`. The same details are dispatched as wabi:beforeupdate,
+     * wabi:update, wabi:frame, wabi:resize, wabi:restore and wabi:animationend events on the elements.
+     * @param {string} type - 'beforeUpdate' | 'update' | 'frame' | 'resize' | 'restore' | 'animationEnd'
+     * @param {function(object): (Array<{x: number, y: number}>|void)} listener
+     * @returns {function} - Removes the listener
+     */
+    on(type, listener) {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new TypeError(`wabi.js: Unknown event "${type}"`);
+        }
+        if (typeof listener !== "function") {
+            throw new TypeError(`wabi.js: Listener for "${type}" must be a function`);
+        }
 
-            el.setOptions(mergeOptions(mergedBase));
-        });
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Remove a listener added with on()
+     * @param {string} type
+     * @param {function} listener
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) {
+            listeners.delete(listener);
+        }
     }
 
+    /**
+     * Start reshaping the elements at a fixed interval
+     * Shapes carry the current `iteration` in their update events, and each element
+     * emits 'animationEnd' once its iterations are done.
+     * @param {object} [animateOptions]
+     * @param {number} [animateOptions.interval=100] - Milliseconds between new shapes
+     * @param {boolean|object} [animateOptions.morph] - Interpolate between shapes instead of snapping.
+     *   true or { duration, easing } where easing is 'linear' | 'ease-in-out' | 'spring' or a function
+     * @param {boolean|object} [animateOptions.breathe] - Continuously drift the shape along a noise field
+     *   instead of reshaping at an interval. true or { speed, amplitude }
+     * @param {number} [animateOptions.iterations=Infinity] - New shapes per element (noise cycles when breathing)
+     * @param {number} [animateOptions.staggered=0] - Milliseconds each element starts after the previous one
+     * @param {number} [animateOptions.playbackRate] - Speed multiplier, see playbackRate
+     * @returns {Wabi} - This instance, to control the animation
+     */
     animate(animateOptions = {}) {
         const interval = animateOptions.interval ?? 100;
+        const morph = normalizeMorphOptions(animateOptions.morph, interval);
+        const breathe = normalizeBreatheOptions(animateOptions.breathe);
+        const { iterations = Infinity, staggered = 0 } = animateOptions;
 
-        if (this.animationItem) {
-            loop.remove(this.animationItem);
+        if (!(iterations > 0)) {
+            throw new RangeError("wabi.js: Animation iterations must be a positive number");
+        }
+        if (animateOptions.playbackRate !== undefined) {
+            this.playbackRate = animateOptions.playbackRate;
         }
 
+        this.stop();
+        this.isPaused = false;
+
+        // Every element follows its own timeline, offset by the stagger
+        const timelines = this.wabiElements.map((el, index) => ({ el, delay: index * staggered, iteration: 0, done: false }));
+        let elapsed = 0;
+
+        const finish = (timeline) => {
+            timeline.done = true;
+            timeline.el.iteration = null;
+            timeline.el.emit("animationEnd", { iteration: timeline.iteration });
+        };
+
+        const stepBreathe = (timeline) => {
+            const { el } = timeline;
+            const time = elapsed - timeline.delay;
+            if (time < 0) return;
+
+            // One iteration is one noise cycle
+            const cycle = 1000 / breathe.speed;
+            const end = iterations * cycle;
+            timeline.iteration = Math.min(Math.floor(time / cycle), iterations);
+            el.iteration = timeline.iteration;
+
+            // Offscreen elements are skipped until they scroll back into view
+            if (el.canAnimate()) {
+                el.breathe(Math.min(time, end), breathe);
+            }
+            if (time >= end) finish(timeline);
+        };
+
+        const stepInterval = (timeline, deltaTime) => {
+            const { el } = timeline;
+            const time = elapsed - timeline.delay;
+
+            // Step the running morph first, so one lasting the whole interval reaches its
+            // target before the next one starts. State and onEnter transitions are stepped by
+            // the element itself
+            const isMorphing = el.morph && !el.morph.selfDriven;
+            if (isMorphing && el.canAnimate()) {
+                el.stepMorph(deltaTime);
+            }
+
+            // Long frames skip shapes rather than rendering several at once
+            const due = time < 0 ? 0 : Math.min(Math.floor(time / interval), iterations);
+            if (due > timeline.iteration) {
+                timeline.iteration = due;
+                el.iteration = due;
+                if (el.canAnimate()) {
+                    if (morph) {
+                        // Morphs start when the shape was due, not at the frame that noticed it
+                        el.morphTo(el.roll(), morph);
+                        el.stepMorph(time - due * interval);
+                    } else {
+                        el.update();
+                    }
+                }
+            }
+
+            if (timeline.iteration >= iterations) {
+                // Settle morphs of elements that can't animate right now
+                if (el.morph && !el.morph.selfDriven && !el.canAnimate()) el.stepMorph(Infinity);
+                if (!el.morph || el.morph.selfDriven) finish(timeline);
+            }
+        };
+
         this.animationItem = {
-            elapsed: 0,
-            interval: interval,
             update: (deltaTime) => {
-                this.animationItem.elapsed += deltaTime;
-                if (this.animationItem.elapsed >= this.animationItem.interval) {
-                    this.update();
-                    this.animationItem.elapsed = 0;
+                const scaled = deltaTime * this.rate;
+                elapsed += scaled;
+
+                timelines.forEach(timeline => {
+                    if (timeline.done) return;
+                    if (breathe) {
+                        stepBreathe(timeline);
+                    } else {
+                        stepInterval(timeline, scaled);
+                    }
+                });
+
+                if (timelines.every(timeline => timeline.done)) {
+                    this.stop();
                 }
             }
         };
 
-        loop.add(this.animationItem);
+        this.syncAnimationItem();
+        return this;
+    }
+
+    /**
+     * Pause the animation, keeping its progress
+     */
+    pause() {
+        if (!this.animationItem) return;
+        this.isPaused = true;
+        this.syncAnimationItem();
+    }
+
+    /**
+     * Continue a paused animation
+     */
+    resume() {
+        if (!this.animationItem) return;
+        this.isPaused = false;
+        this.syncAnimationItem();
+    }
+
+    /**
+     * Advance the animation by one frame, e.g. while paused
+     * @param {number} [deltaTime] - Milliseconds to advance, before playbackRate (default: one 60fps frame)
+     */
+    step(deltaTime = 1000 / 60) {
+        if (this.animationItem) {
+            this.animationItem.update(deltaTime);
+        }
+    }
+
+    /**
+     * Speed multiplier of the animation: 1 is normal speed, 0.5 half and 2 double speed
+     * @type {number}
+     */
+    get playbackRate() {
+        return this.rate;
+    }
+
+    set playbackRate(rate) {
+        if (!(rate >= 0)) {
+            throw new RangeError("wabi.js: playbackRate must be a non-negative number");
+        }
+        this.rate = rate;
+    }
+
+    /**
+     * Run the animation only while it isn't paused and some element may move
+     * When every element respects a reduced motion preference, the loop isn't kept busy.
+     */
+    syncAnimationItem() {
+        if (!this.animationItem) return;
+
+        if (!this.motionCleanup) {
+            this.motionCleanup = onReducedMotionChange(() => this.syncAnimationItem());
+        }
+
+        if (!this.isPaused && this.wabiElements.some(el => !el.isMotionReduced())) {
+            loop.add(this.animationItem);
+        } else {
+            loop.remove(this.animationItem);
+        }
     }
 
     stop() {
@@ -225,6 +1538,14 @@ export class Wabi {
             loop.remove(this.animationItem);
             this.animationItem = null;
         }
+        this.isPaused = false;
+        this.wabiElements.forEach(el => {
+            el.iteration = null;
+        });
+        if (this.motionCleanup) {
+            this.motionCleanup();
+            this.motionCleanup = null;
+        }
     }
 
     get isAnimating() {
@@ -0,0 +1,99 @@
+// [property, value for wabi layers, initial value for the layers below]
+const LAYER_PROPS = [
+    ["backgroundImage", null, "none"],
+    ["backgroundSize", "100% 100%", "auto"],
+    ["backgroundRepeat", "no-repeat", "repeat"],
+    ["backgroundPosition", "0% 0%", "0% 0%"],
+    ["backgroundOrigin", "border-box", "padding-box"],
+    ["backgroundClip", "border-box", "border-box"],
+];
+
+// Stacking order of wabi layers, topmost first
+const LAYER_ORDER = ["stroke", "inset-shadow"];
+
+/**
+ * Manages SVG images drawn as extra background layers (strokes, inset shadows).
+ * Using backgrounds keeps the DOM untouched and follows the clip-path exactly.
+ */
+export class LayerManager {
+    constructor() {
+        this.states = new WeakMap(); // Map<Element, { original, computed, layers }>
+    }
+
+    /**
+     * Draw or update a named layer on an element
+     * @param {Element} element - Element to draw on
+     * @param {string} name - Layer name ('stroke' | 'inset-shadow')
+     * @param {string} svg - SVG markup of the layer
+     */
+    set(element, name, svg) {
+        let state = this.states.get(element);
+
+        if (!state) {
+            // Remember inline values to restore and computed values to layer on top of
+            const computed = window.getComputedStyle(element);
+            state = { original: {}, computed: {}, layers: {} };
+            LAYER_PROPS.forEach(([prop, , initial]) => {
+                state.original[prop] = element.style[prop];
+                state.computed[prop] = computed[prop] || initial;
+            });
+            this.states.set(element, state);
+        }
+
+        state.layers[name] = `url("data:image/svg+xml,${encodeURIComponent(svg)}")`;
+        this.render(element, state);
+    }
+
+    /**
+     * Remove a named layer, restoring original backgrounds once none are left
+     * @param {Element} element
+     * @param {string} name
+     */
+    remove(element, name) {
+        const state = this.states.get(element);
+        if (!state || !state.layers[name]) return;
+
+        delete state.layers[name];
+
+        if (Object.keys(state.layers).length === 0) {
+            this.clear(element);
+        } else {
+            this.render(element, state);
+        }
+    }
+
+    /**
+     * Remove all layers and restore original backgrounds
+     * @param {Element} element
+     */
+    clear(element) {
+        const state = this.states.get(element);
+        if (!state) return;
+
+        LAYER_PROPS.forEach(([prop]) => {
+            element.style[prop] = state.original[prop];
+        });
+        this.states.delete(element);
+    }
+
+    /**
+     * Write all layers on top of the element's own backgrounds
+     * @param {Element} element
+     * @param {object} state
+     */
+    render(element, state) {
+        const urls = LAYER_ORDER.filter(name => state.layers[name]).map(name => state.layers[name]);
+        const hasBackground = state.computed.backgroundImage !== "none";
+
+        LAYER_PROPS.forEach(([prop, value]) => {
+            const own = urls.map(url => value ?? url);
+            if (hasBackground) {
+                own.push(state.computed[prop]);
+            }
+            element.style[prop] = own.join(", ");
+        });
+    }
+}
+
+// Singleton instance
+export const layerManager = new LayerManager();
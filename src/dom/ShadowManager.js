@@ -1,9 +1,28 @@
+import { generateClipPath, generateCurvedClipPath } from "../utils/css.js";
+import { generateShadowSvg, getShadowMargin } from "../utils/shadow.js";
+import { scheduler } from "../anim/Scheduler.js";
+
 /**
- * Manages the wrapper element for applying shadows without clipping.
+ * Manages the elements that render shadows without being clipped:
+ * - 'wrapper': a container around the element carrying filter: drop-shadow()
+ * - 'underlay': a sibling behind the element with one clipped, blurred child per shadow layer
+ * - 'svg-filter': a sibling behind the element with an SVG background blurred by an SVG filter
+ * Hard offset layers always use an underlay, since drop-shadow() can only copy the element's shape.
+ * Next to a wrapper the underlay goes before the wrapper, so the drop-shadow filter doesn't blur it.
+ *
+ * Underlays are positioned from the element's offsets, read by measure() along with the
+ * element's other layout reads, so drawing an underlay never forces a reflow. They follow
+ * layout shifts by observing the size of the element's parent: content added or removed
+ * around the element resizes its parent before the element moves.
  */
 export class ShadowManager {
     constructor() {
         this.wrappers = new WeakMap();
+        this.underlays = new WeakMap(); // Map<Element, { node, mode, originalPosition, margin, parent }>
+        this.layouts = new WeakMap(); // Map<Element, object> of the last measureUnderlay() result
+        this.parentObserver = null;
+        this.children = new WeakMap(); // Map<parent Element, Set<Element>> of elements with underlays
+        this.handleParentResize = this.handleParentResize.bind(this);
     }
 
     /**
@@ -20,7 +39,7 @@ export class ShadowManager {
         // Shadow wrapping doesn't work with fixed/absolute positioning
         // due to conflicting position constraints
         if (computed.position === 'fixed' || computed.position === 'absolute') {
-            console.warn('wabi.js: Shadow not supported for position:fixed/absolute elements', element);
+            console.warn('wabi.js: Wrapper shadows are not supported for position:fixed/absolute elements, use shadow.mode "underlay"', element);
             return null;
         }
 
@@ -109,6 +128,259 @@ export class ShadowManager {
         wrapper.remove();
         this.wrappers.delete(element);
     }
+
+    /**
+     * Draw or update a shadow underlay behind the element
+     * The underlay is a sibling, so the element keeps its place in the DOM tree. Static
+     * elements are made `position: relative` to stay above it, which also makes them the
+     * containing block of their absolutely positioned descendants.
+     * @param {Element} element - Element casting the shadow
+     * @param {Array<object>} layers - Shadow layers with `points` (px) plus { x, y, blur, color }
+     * @param {object} renderOptions
+     * @param {string} renderOptions.mode - 'underlay' (CSS clip-path + blur) or 'svg-filter'
+     * @param {boolean} [renderOptions.curved] - Whether edges are curved
+     * @returns {Element|null} - The underlay element
+     */
+    underlay(element, layers, renderOptions) {
+        const { mode, curved = false } = renderOptions;
+        let state = this.underlays.get(element);
+
+        if (state && state.mode !== mode) {
+            this.removeUnderlay(element);
+            state = null;
+        }
+
+        // Only elements that weren't measured yet, e.g. when options add a shadow, are read here
+        const layout = this.layouts.get(element) || this.measure(element);
+
+        if (!state) {
+            // Outside any wrapper, whose filter would apply to the underlay too
+            const anchor = this.wrappers.get(element) || element;
+            if (!anchor.parentNode) return null;
+
+            const node = document.createElement("div");
+            node.className = "wabi-shadow-underlay";
+            if (mode !== "underlay") {
+                node.classList.add(`wabi-shadow-${mode}`);
+            }
+            node.setAttribute("aria-hidden", "true");
+            node.style.position = "absolute";
+            node.style.pointerEvents = "none";
+            node.style.margin = "0";
+
+            state = { node, mode, originalPosition: element.style.position, margin: 0, parent: anchor.parentNode };
+
+            // Non-positioned elements would be painted below the positioned underlay
+            if (layout.isStatic) {
+                element.style.position = "relative";
+            }
+
+            anchor.parentNode.insertBefore(node, anchor);
+            this.underlays.set(element, state);
+            this.observeParent(element, state.parent);
+        }
+
+        if (mode === "underlay") {
+            this.renderCssLayers(state.node, layers, curved);
+        } else {
+            const margin = getShadowMargin(layers);
+            const svg = generateShadowSvg(layers, layout.width, layout.height, { curved });
+
+            state.margin = margin;
+            state.node.style.background = `url("data:image/svg+xml,${encodeURIComponent(svg)}") no-repeat 0 0 / 100% 100%`;
+        }
+
+        this.positionUnderlay(state, layout);
+
+        return state.node;
+    }
+
+    /**
+     * Render one clipped, blurred child per shadow layer
+     * Blur sits on an outer div so the inner clip-path doesn't cut it off
+     * @param {Element} node - Underlay element
+     * @param {Array<object>} layers
+     * @param {boolean} curved
+     */
+    renderCssLayers(node, layers, curved) {
+        while (node.children.length > layers.length) {
+            node.lastChild.remove();
+        }
+        while (node.children.length < layers.length) {
+            const outer = document.createElement("div");
+            outer.style.cssText = "position:absolute;top:0;left:0;width:100%;height:100%";
+            outer.appendChild(document.createElement("div")).style.cssText = "width:100%;height:100%";
+            node.appendChild(outer);
+        }
+
+        // Later children paint over earlier ones, so the first layer goes last
+        layers.slice().reverse().forEach((layer, index) => {
+            const outer = node.children[index];
+            const inner = outer.firstChild;
+
+            outer.style.transform = `translate(${layer.x}px, ${layer.y}px)`;
+            // drop-shadow() blur radius corresponds to twice the Gaussian standard deviation
+            outer.style.filter = layer.blur ? `blur(${layer.blur / 2}px)` : "";
+            inner.style.background = layer.color;
+            inner.style.clipPath = curved ? generateCurvedClipPath(layer.points) : generateClipPath(layer.points, "px");
+        });
+    }
+
+    /**
+     * Read and keep where the underlay of an element belongs, for the next underlay() calls
+     * @param {Element} element
+     * @returns {object} - Layout from measureUnderlay()
+     */
+    measure(element) {
+        const layout = this.measureUnderlay(element);
+        this.layouts.set(element, layout);
+        return layout;
+    }
+
+    /**
+     * Read where the underlay of an element belongs
+     * @param {Element} element
+     * @returns {object} - { position, left, top, width, height, zIndex, isStatic } of the element's border box
+     */
+    measureUnderlay(element) {
+        const computed = window.getComputedStyle(element);
+        const layout = {
+            width: element.offsetWidth,
+            height: element.offsetHeight,
+            // Same stacking level as the element; coming first in the DOM keeps it behind
+            zIndex: computed.zIndex,
+            isStatic: computed.position === "static",
+        };
+
+        if (computed.position === "fixed") {
+            const rect = element.getBoundingClientRect();
+            return { ...layout, position: "fixed", left: rect.left, top: rect.top };
+        }
+
+        // Siblings share the offsetParent, so offsets carry over
+        let left = element.offsetLeft;
+        let top = element.offsetTop;
+
+        // A positioned wrapper is the element's offsetParent but not the underlay's
+        const wrapper = this.wrappers.get(element);
+        if (wrapper && element.offsetParent === wrapper) {
+            left += wrapper.offsetLeft;
+            top += wrapper.offsetTop;
+        }
+
+        return { ...layout, position: "absolute", left, top };
+    }
+
+    /**
+     * Place the underlay exactly over the element's border box, plus its margin for blur
+     * @param {object} state - Underlay state
+     * @param {object} layout - From measureUnderlay()
+     */
+    positionUnderlay(state, layout) {
+        const { node, margin } = state;
+
+        node.style.position = layout.position;
+        node.style.left = `${layout.left - margin}px`;
+        node.style.top = `${layout.top - margin}px`;
+        node.style.width = `${layout.width + margin * 2}px`;
+        node.style.height = `${layout.height + margin * 2}px`;
+        node.style.zIndex = layout.zIndex;
+    }
+
+    /**
+     * Watch the parent of an element with an underlay for layout shifts
+     * @param {Element} element
+     * @param {Element} parent
+     */
+    observeParent(element, parent) {
+        if (typeof ResizeObserver === "undefined") return;
+
+        if (!this.parentObserver) {
+            this.parentObserver = new ResizeObserver(this.handleParentResize);
+        }
+
+        if (!this.children.has(parent)) {
+            this.children.set(parent, new Set());
+            this.parentObserver.observe(parent);
+        }
+        this.children.get(parent).add(element);
+    }
+
+    /**
+     * Stop watching the parent of an element once no other underlay needs it
+     * @param {Element} element
+     * @param {Element} parent
+     */
+    unobserveParent(element, parent) {
+        const children = this.children.get(parent);
+        if (!children) return;
+
+        children.delete(element);
+        if (children.size === 0) {
+            this.children.delete(parent);
+            this.parentObserver.unobserve(parent);
+        }
+    }
+
+    /**
+     * Move the underlays of elements whose parent changed size
+     * @param {Array<ResizeObserverEntry>} entries
+     */
+    handleParentResize(entries) {
+        entries.forEach(entry => {
+            const children = this.children.get(entry.target);
+            if (children) {
+                children.forEach(element => this.resync(element));
+            }
+        });
+    }
+
+    /**
+     * Re-measure an element's underlay and move it in the shared frame scheduler
+     * Offsets of all underlays in a frame are read before any is written.
+     * @param {Element} element
+     */
+    resync(element) {
+        const state = this.underlays.get(element);
+        if (!state) return;
+
+        let layout = null;
+        scheduler.schedule(state, {
+            read: () => {
+                layout = this.measure(element);
+            },
+            write: () => {
+                if (this.underlays.get(element) === state) {
+                    this.positionUnderlay(state, layout);
+                }
+            },
+        });
+    }
+
+    /**
+     * Remove the shadow underlay of an element
+     * @param {Element} element
+     */
+    removeUnderlay(element) {
+        const state = this.underlays.get(element);
+        if (!state) return;
+
+        state.node.remove();
+        element.style.position = state.originalPosition;
+        scheduler.cancel(state);
+        this.unobserveParent(element, state.parent);
+        this.underlays.delete(element);
+    }
+
+    /**
+     * Remove any shadow (wrapper or underlay) from an element
+     * @param {Element} element
+     */
+    remove(element) {
+        this.unwrap(element);
+        this.removeUnderlay(element);
+        this.layouts.delete(element);
+    }
 }
 
 // Singleton instance
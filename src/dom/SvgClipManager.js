@@ -0,0 +1,86 @@
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+/**
+ * Manages inline SVG <clipPath> elements for curved shapes in % mode.
+ * CSS path() only accepts px, so relative curves are referenced via url(#id).
+ */
+export class SvgClipManager {
+    constructor() {
+        this.clips = new WeakMap(); // Map<Element, SVGClipPathElement>
+        this.container = null;
+        this.counter = 0;
+    }
+
+    /**
+     * Get (or create) the hidden SVG that holds all clip paths
+     * @returns {SVGSVGElement}
+     */
+    getContainer() {
+        if (!this.container || !this.container.isConnected) {
+            this.container = document.createElementNS(SVG_NS, "svg");
+            this.container.setAttribute("width", "0");
+            this.container.setAttribute("height", "0");
+            this.container.setAttribute("aria-hidden", "true");
+            this.container.setAttribute("focusable", "false");
+            this.container.style.position = "absolute";
+            this.container.style.overflow = "hidden";
+            document.body.appendChild(this.container);
+        }
+        return this.container;
+    }
+
+    /**
+     * Get an id no other element in the document uses yet, e.g. server-rendered clip paths
+     * @returns {string}
+     */
+    createId() {
+        let id;
+        do {
+            id = `wabi-clip-${++this.counter}`;
+        } while (document.getElementById(id));
+        return id;
+    }
+
+    /**
+     * Set the clip path for an element
+     * @param {Element} element - Element being clipped
+     * @param {string} pathData - Path data in objectBoundingBox units (0-1)
+     * @returns {string} - CSS clip-path value referencing the clip path
+     */
+    set(element, pathData) {
+        let clip = this.clips.get(element);
+
+        if (!clip || !clip.isConnected) {
+            clip = document.createElementNS(SVG_NS, "clipPath");
+            clip.id = this.createId();
+            clip.setAttribute("clipPathUnits", "objectBoundingBox");
+            clip.appendChild(document.createElementNS(SVG_NS, "path"));
+            this.getContainer().appendChild(clip);
+            this.clips.set(element, clip);
+        }
+
+        clip.firstChild.setAttribute("d", pathData);
+        return `url(#${clip.id})`;
+    }
+
+    /**
+     * Remove the clip path of an element
+     * @param {Element} element
+     */
+    remove(element) {
+        const clip = this.clips.get(element);
+        if (!clip) return;
+
+        clip.remove();
+        this.clips.delete(element);
+
+        // Drop the container once the last clip path is gone
+        if (this.container && !this.container.firstChild) {
+            this.container.remove();
+            this.container = null;
+        }
+    }
+}
+
+// Singleton instance
+export const svgClipManager = new SvgClipManager();
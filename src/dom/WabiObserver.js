@@ -0,0 +1,177 @@
+import { Wabi } from "../core/Wabi.js";
+import { parseAttributes, WABI_ATTRIBUTE, WABI_ATTRIBUTES } from "../utils/attributes.js";
+
+const SELECTOR = `[${WABI_ATTRIBUTE}]`;
+
+/**
+ * Applies wabi to elements carrying data-wabi attributes and keeps them
+ * in sync with DOM insertions, removals and attribute changes.
+ */
+export class WabiObserver {
+    /**
+     * @param {Element|Document} root - Subtree to observe
+     */
+    constructor(root) {
+        this.root = root;
+        this.instances = new Map(); // Map<Element, Wabi>
+        this.observer = null;
+    }
+
+    /**
+     * Apply to existing elements and start observing mutations
+     * @returns {WabiObserver}
+     */
+    start() {
+        if (this.observer) return this;
+
+        // Elements are shaped together, so their layout reads aren't interleaved with writes
+        Wabi.batch(() => this.scan(this.root));
+
+        if (typeof MutationObserver !== "undefined") {
+            this.observer = new MutationObserver(records => this.handleMutations(records));
+            this.observer.observe(this.root, {
+                childList: true,
+                subtree: true,
+                attributes: true,
+                attributeFilter: WABI_ATTRIBUTES,
+            });
+        }
+
+        return this;
+    }
+
+    /**
+     * Apply to all marked elements within a node (including the node itself)
+     * @param {Node} node
+     */
+    scan(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE && node.nodeType !== Node.DOCUMENT_NODE) return;
+
+        if (node.nodeType === Node.ELEMENT_NODE && node.matches(SELECTOR)) {
+            this.apply(node);
+        }
+        node.querySelectorAll(SELECTOR).forEach(el => this.apply(el));
+    }
+
+    /**
+     * Apply (or re-apply) wabi to an element using its attributes
+     * @param {Element} element
+     * @param {boolean} [force] - Re-apply even if already applied
+     */
+    apply(element, force = false) {
+        if (this.instances.has(element)) {
+            if (!force) return;
+            this.release(element);
+        }
+
+        const instance = Wabi.apply(element, parseAttributes(element));
+        this.instances.set(element, instance);
+    }
+
+    /**
+     * Restore an element and stop tracking it
+     * @param {Element} element
+     */
+    release(element) {
+        const instance = this.instances.get(element);
+        if (!instance) return;
+
+        instance.restore();
+        this.instances.delete(element);
+    }
+
+    /**
+     * @param {MutationRecord[]} records
+     */
+    handleMutations(records) {
+        Wabi.batch(() => this.applyMutations(records));
+    }
+
+    /**
+     * @param {MutationRecord[]} records
+     */
+    applyMutations(records) {
+        for (const record of records) {
+            if (record.type === "attributes") {
+                const element = record.target;
+                if (!element.hasAttribute(WABI_ATTRIBUTE)) {
+                    this.release(element);
+                } else if (element.isConnected) {
+                    this.apply(element, true);
+                }
+                continue;
+            }
+
+            record.removedNodes.forEach(node => this.handleRemoved(node));
+            record.addedNodes.forEach(node => this.scan(node));
+        }
+    }
+
+    /**
+     * Restore tracked elements that have left the document
+     * Elements that were only moved (e.g. into a shadow wrapper) stay applied
+     * @param {Node} node
+     */
+    handleRemoved(node) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        this.instances.forEach((_, element) => {
+            if (!element.isConnected && (element === node || node.contains(element))) {
+                this.release(element);
+            }
+        });
+    }
+
+    /**
+     * Stop observing
+     * @param {boolean} [restore=true] - Also restore all applied elements
+     */
+    disconnect(restore = true) {
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+
+        if (restore) {
+            Array.from(this.instances.keys()).forEach(el => this.release(el));
+        }
+
+        if (autoObserver === this) {
+            autoObserver = null;
+        }
+    }
+}
+
+let autoObserver = null;
+
+/**
+ * Observe a subtree for data-wabi elements
+ * @param {Element|Document} [root=document] - Subtree to observe
+ * @returns {WabiObserver}
+ */
+export function observe(root = document) {
+    return new WabiObserver(root).start();
+}
+
+/**
+ * Observe the whole document once it is ready
+ * Repeated calls return the same observer
+ * @returns {WabiObserver}
+ */
+export function auto() {
+    if (autoObserver) return autoObserver;
+
+    const observer = new WabiObserver(document);
+    autoObserver = observer;
+
+    if (document.readyState === "loading") {
+        document.addEventListener("DOMContentLoaded", () => {
+            // Skip if disconnected before the document was ready
+            if (autoObserver === observer) observer.start();
+        }, { once: true });
+    } else {
+        observer.start();
+    }
+
+    return autoObserver;
+}
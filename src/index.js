@@ -16,22 +16,89 @@
  *   corners: { x: 3, y: 3 },
  *   edges: { points: 2, edgeWobble: 2 }
  * });
+ *
+ * @example
+ * // Presets
+ * wabi('.note', 'torn-paper');
+ * wabi('.card', { preset: 'stamp', seed: 7 });
+ *
+ * @example
+ * // Declarative usage via data attributes
+ * // <div data-wabi data-wabi-corners-x="3" data-wabi-seed="7"></div>
+ * wabi.auto();
  */
 
 import { Wabi } from "./core/Wabi.js";
+import { observe, auto } from "./dom/WabiObserver.js";
+import { definePreset } from "./utils/presets.js";
+import { registerGenerator, registerModifier } from "./math/generators.js";
+import { loop } from "./anim/Loop.js";
+import { scheduler } from "./anim/Scheduler.js";
 
 /**
  * Apply wabi effect to elements
  * @param {string|Element|NodeList} selector - CSS selector, DOM element, or NodeList
- * @param {object|number} [options] - Options object or corner X offset (shorthand)
+ * @param {object|string|number} [options] - Options object, preset name or corner X offset (shorthand)
  * @param {number} [cornerY] - Corner Y offset (shorthand mode)
  * @param {number} [edgePoints] - Number of edge points (shorthand mode)
- * @returns {object} - Control object with restore, update, setOptions methods
+ * @returns {object} - Control object with restore, update, setOptions and animation methods
  */
 function wabi(selector, options, cornerY, edgePoints) {
   return Wabi.apply(selector, options, cornerY, edgePoints);
 }
 
+/**
+ * Apply wabi to data-wabi elements within a subtree and keep them in sync
+ * @param {Element|Document} [root=document] - Subtree to observe
+ * @returns {object} - Observer with a disconnect(restore) method
+ */
+wabi.observe = observe;
+
+/**
+ * Observe the whole document for data-wabi elements once it is ready
+ * @returns {object} - Observer with a disconnect(restore) method
+ */
+wabi.auto = auto;
+
+/**
+ * Register a named preset for wabi(selector, name) and { preset: name }
+ * @param {string} name - Preset name
+ * @param {object} options - Partial options the preset applies
+ */
+wabi.definePreset = definePreset;
+
+/**
+ * Register a named shape generator for the `generator` option
+ * @param {string} name - Generator name
+ * @param {function} generator - (width, height, options, rng) => points
+ */
+wabi.registerGenerator = registerGenerator;
+
+/**
+ * Register a named shape modifier for the `modifiers` option
+ * @param {string} name - Modifier name
+ * @param {function} modifier - (points, width, height, options, rng, params) => points
+ */
+wabi.registerModifier = registerModifier;
+
+/**
+ * Pause every running animation, transition and pointer reaction
+ * Elements keep their current shape until resumeAll() is called.
+ */
+wabi.pauseAll = () => loop.pause();
+
+/**
+ * Resume animations paused with pauseAll()
+ */
+wabi.resumeAll = () => loop.resume();
+
+/**
+ * Set how much time per frame update() and resize re-renders may take
+ * Remaining elements are reshaped in the following frames.
+ * @param {number} budget - Milliseconds per frame (default: 8)
+ */
+wabi.setFrameBudget = (budget) => scheduler.setBudget(budget);
+
 // Export as default only for UMD compatibility
 // ES module users can use: import wabi from 'wabi.js'
 export default wabi;
@@ -1,5 +1,20 @@
 import { randomInRange } from "../utils/random.js";
 
+/**
+ * Corner names in polygon order, used for per-corner options
+ */
+export const CORNER_NAMES = ["topLeft", "topRight", "bottomRight", "bottomLeft"];
+
+/**
+ * Get the max displacement of each corner, applying per-corner overrides
+ * @param {object} cornerOptions - Corner options, optionally with topLeft/topRight/bottomRight/bottomLeft
+ * @returns {Array<{x: number, y: number}>} - Offsets per corner [TL, TR, BR, BL]
+ */
+export function getCornerOffsets(cornerOptions) {
+  const { x = 0, y = 0 } = cornerOptions;
+  return CORNER_NAMES.map((name) => ({ x, y, ...(cornerOptions[name] || {}) }));
+}
+
 /**
  * Generate the four corner points of a rectangle with random displacement
  * @param {number} width - Element width (100 for percentage mode)
@@ -8,11 +23,15 @@ import { randomInRange } from "../utils/random.js";
  * @param {number} cornerOptions.x - Max horizontal displacement
  * @param {number} cornerOptions.y - Max vertical displacement
  * @param {boolean} cornerOptions.independent - Whether corners move independently
+ * @param {object} [cornerOptions.topLeft] - Per-corner { x, y } overriding the shared limits
+ *   (also topRight, bottomRight, bottomLeft)
  * @param {function} rng - Random number generator
+ * @param {object} [safeRect] - Area corners must not move into ({ left, top, right, bottom } coordinates)
  * @returns {Array<{x: number, y: number}>} - Array of 4 corner points [TL, TR, BR, BL]
  */
-export function generateCorners(width, height, cornerOptions, rng) {
-  const { x: offsetX = 0, y: offsetY = 0, independent = true } = cornerOptions;
+export function generateCorners(width, height, cornerOptions, rng, safeRect = null) {
+  const { independent = true } = cornerOptions;
+  const offsets = getCornerOffsets(cornerOptions);
 
   // Base corner positions
   const baseCorners = [
@@ -22,31 +41,55 @@ export function generateCorners(width, height, cornerOptions, rng) {
     { x: 0, y: height }, // Bottom-left
   ];
 
-  if (offsetX === 0 && offsetY === 0) {
+  if (offsets.every((offset) => offset.x === 0 && offset.y === 0)) {
     return baseCorners;
   }
 
   if (independent) {
     // Each corner moves independently
     return baseCorners.map((corner, index) => {
+      const { x: offsetX, y: offsetY } = offsets[index];
       const dx = randomInRange(rng, -offsetX, offsetX);
       const dy = randomInRange(rng, -offsetY, offsetY);
 
-      return {
+      return clampToSafeRect({
         x: clampCornerX(corner.x + dx, index, width, offsetX),
         y: clampCornerY(corner.y + dy, index, height, offsetY),
-      };
+      }, index, safeRect);
     });
   } else {
-    // Uniform skew - all corners move by the same random amounts
-    const dx = randomInRange(rng, -offsetX, offsetX);
-    const dy = randomInRange(rng, -offsetY, offsetY);
+    // Uniform skew - all corners move in the same direction, scaled by their own limits
+    const u = randomInRange(rng, -1, 1);
+    const v = randomInRange(rng, -1, 1);
+
+    return baseCorners.map((corner, index) => {
+      const { x: offsetX, y: offsetY } = offsets[index];
+      return clampToSafeRect({
+        x: clampCornerX(corner.x + u * offsetX, index, width, offsetX),
+        y: clampCornerY(corner.y + v * offsetY, index, height, offsetY),
+      }, index, safeRect);
+    });
+  }
+}
 
-    return baseCorners.map((corner, index) => ({
-      x: clampCornerX(corner.x + dx, index, width, offsetX),
-      y: clampCornerY(corner.y + dy, index, height, offsetY),
-    }));
+/**
+ * Keep a corner outside the safe area, in the quadrant beyond the matching safe corner
+ * @param {{x: number, y: number}} point - Corner point
+ * @param {number} cornerIndex - 0=TL, 1=TR, 2=BR, 3=BL
+ * @param {object|null} safeRect - { left, top, right, bottom } or null
+ * @returns {{x: number, y: number}}
+ */
+function clampToSafeRect(point, cornerIndex, safeRect) {
+  if (!safeRect) {
+    return point;
   }
+
+  const isLeft = cornerIndex === 0 || cornerIndex === 3;
+  const isTop = cornerIndex === 0 || cornerIndex === 1;
+  return {
+    x: isLeft ? Math.min(point.x, safeRect.left) : Math.max(point.x, safeRect.right),
+    y: isTop ? Math.min(point.y, safeRect.top) : Math.max(point.y, safeRect.bottom),
+  };
 }
 
 /**
@@ -0,0 +1,104 @@
+/**
+ * Turn angle (radians) above which a vertex is kept as a sharp corner
+ * Rectangle corners turn ~90° and chamfered corners ~45°, while wobbly edge points turn far less
+ */
+const SHARP_ANGLE = (35 * Math.PI) / 180;
+
+/**
+ * Angle between the incoming and outgoing edge at a vertex
+ * @param {object} prev - Previous point
+ * @param {object} point - Current point
+ * @param {object} next - Next point
+ * @returns {number} - Turn angle in radians (0 = straight)
+ */
+function turnAngle(prev, point, next) {
+  const a = Math.atan2(point.y - prev.y, point.x - prev.x);
+  const b = Math.atan2(next.y - point.y, next.x - point.x);
+  const diff = Math.abs(b - a) % (2 * Math.PI);
+  return diff > Math.PI ? 2 * Math.PI - diff : diff;
+}
+
+/**
+ * Catmull-Rom tangents for a closed polygon; sharp corners get zero tangents
+ * @param {Array<{x: number, y: number}>} points - Polygon points
+ * @returns {Array<{x: number, y: number}>} - Tangent per point
+ */
+function getTangents(points) {
+  const count = points.length;
+
+  return points.map((point, i) => {
+    const prev = points[(i - 1 + count) % count];
+    const next = points[(i + 1) % count];
+
+    if (turnAngle(prev, point, next) > SHARP_ANGLE) {
+      return { x: 0, y: 0 };
+    }
+
+    return {
+      x: (next.x - prev.x) / 2,
+      y: (next.y - prev.y) / 2,
+    };
+  });
+}
+
+/**
+ * Clamp a value to the range spanned by two others
+ * @param {number} value
+ * @param {number} a
+ * @param {number} b
+ * @returns {number}
+ */
+function clampBetween(value, a, b) {
+  return Math.min(Math.max(value, Math.min(a, b)), Math.max(a, b));
+}
+
+/**
+ * Generate a closed SVG path of straight segments through all polygon points
+ * @param {Array<{x: number, y: number}>} points - Polygon points
+ * @returns {string} - SVG path data
+ */
+export function generateStraightPath(points) {
+  const commands = points.map((p, i) => `${i === 0 ? "M" : "L"} ${p.x.toFixed(2)} ${p.y.toFixed(2)}`);
+  return `${commands.join(" ")} Z`;
+}
+
+/**
+ * Generate a smooth closed SVG path through all polygon points
+ * Edges between points become cubic Bézier curves (Catmull-Rom), while
+ * sharply turning vertices such as the rectangle corners stay pointed.
+ * Control points are kept within the bounding box of their segment's end points, so a
+ * curve never overshoots its points: edges that stay outside the safe area as straight
+ * lines stay outside it as curves too.
+ * @param {Array<{x: number, y: number}>} points - Polygon points
+ * @param {object} [options]
+ * @param {number} [options.scale=1] - Factor applied to all coordinates
+ * @param {number} [options.precision=2] - Decimal places in the output
+ * @returns {string} - SVG path data
+ */
+export function generateCurvedPath(points, options = {}) {
+  const { scale = 1, precision = 2 } = options;
+  const count = points.length;
+
+  if (count < 3) {
+    return "";
+  }
+
+  const format = (value) => (value * scale).toFixed(precision);
+  const formatPoint = (p) => `${format(p.x)} ${format(p.y)}`;
+  const tangents = getTangents(points);
+
+  const segments = points.map((start, i) => {
+    const end = points[(i + 1) % count];
+    const control1 = {
+      x: clampBetween(start.x + tangents[i].x / 3, start.x, end.x),
+      y: clampBetween(start.y + tangents[i].y / 3, start.y, end.y),
+    };
+    const control2 = {
+      x: clampBetween(end.x - tangents[(i + 1) % count].x / 3, start.x, end.x),
+      y: clampBetween(end.y - tangents[(i + 1) % count].y / 3, start.y, end.y),
+    };
+    return `C ${formatPoint(control1)}, ${formatPoint(control2)}, ${formatPoint(end)}`;
+  });
+
+  return `M ${formatPoint(points[0])} ${segments.join(" ")} Z`;
+}
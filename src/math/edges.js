@@ -7,19 +7,32 @@ import { randomInRange } from "../utils/random.js";
  * @param {object} edgeOptions - Edge options
  * @param {number} edgeOptions.points - Number of points to insert
  * @param {number} edgeOptions.edgeWobble - Max perpendicular deviation
- * @param {string} edgeOptions.distribution - 'random' | 'even' | 'weighted-center'
+ * @param {string} edgeOptions.distribution - 'random' | 'even' | 'weighted-center' | 'jittered-even' | 'poisson' | 'density'
+ * @param {string} [edgeOptions.profile] - 'random' | 'sine' | 'zigzag' | 'scallop' | 'torn'
+ * @param {number} [edgeOptions.frequency=4] - Waves per edge for profiles
+ * @param {number} [edgeOptions.amplitude] - Wave height for profiles (defaults to edgeWobble)
  * @param {function} rng - Random number generator
  * @returns {Array<{x: number, y: number}>} - Array of edge points (not including start/end)
  */
 export function generateEdgePoints(start, end, edgeOptions, rng) {
-  const { points = 0, edgeWobble = 0, distribution = "random" } = edgeOptions;
+  const { points = 0, edgeWobble = 0, distribution = "random", profile = "random" } = edgeOptions;
 
-  if (points <= 0 || edgeWobble === 0) {
-    return [];
-  }
+  let samples;
+  if (PROFILES[profile]) {
+    const { frequency = 4, amplitude = edgeWobble } = edgeOptions;
+    if (frequency <= 0 || amplitude === 0) {
+      return [];
+    }
+    samples = PROFILES[profile](Math.round(frequency), amplitude, rng);
+  } else {
+    if (points <= 0 || edgeWobble === 0) {
+      return [];
+    }
 
-  // Get positions along the edge (0-1 range)
-  const positions = getPositions(points, distribution, rng);
+    // Get positions along the edge (0-1 range), each with a random perpendicular offset
+    const positions = getPositions(points, distribution, rng);
+    samples = positions.map((t) => ({ t, offset: randomInRange(rng, -edgeWobble, edgeWobble) }));
+  }
 
   // Calculate edge vector and perpendicular
   const edgeVector = {
@@ -32,23 +45,20 @@ export function generateEdgePoints(start, end, edgeOptions, rng) {
     edgeVector.x * edgeVector.x + edgeVector.y * edgeVector.y
   );
 
-  // Normalized perpendicular vector (rotated 90 degrees)
+  // Normalized perpendicular vector (rotated 90 degrees, pointing inward)
   const perpendicular = {
     x: -edgeVector.y / edgeLength,
     y: edgeVector.x / edgeLength,
   };
 
   // Generate points
-  return positions.map((t) => {
+  return samples.map(({ t, offset }) => {
     // Point on the line at position t
     const pointOnLine = {
       x: start.x + t * edgeVector.x,
       y: start.y + t * edgeVector.y,
     };
 
-    // Random perpendicular offset
-    const offset = randomInRange(rng, -edgeWobble, edgeWobble);
-
     return {
       x: pointOnLine.x + offset * perpendicular.x,
       y: pointOnLine.y + offset * perpendicular.y,
@@ -56,6 +66,65 @@ export function generateEdgePoints(start, end, edgeOptions, rng) {
   });
 }
 
+/**
+ * Edge profiles: structured offsets along an edge
+ * Each takes (frequency, amplitude, rng) and returns samples { t, offset } with t in 0-1.
+ * Positive offsets point into the shape; waves start and end on the edge line, so corners stay put.
+ */
+const PROFILES = {
+  // Smooth waves, each with a slightly different height
+  sine(frequency, amplitude, rng) {
+    const samples = [];
+    const steps = 8; // samples per wave
+    for (let wave = 0; wave < frequency; wave++) {
+      const height = amplitude * (0.85 + rng() * 0.3);
+      for (let step = wave === 0 ? 1 : 0; step < steps; step++) {
+        const local = step / steps;
+        samples.push({ t: (wave + local) / frequency, offset: height * Math.sin(local * 2 * Math.PI) });
+      }
+    }
+    return samples;
+  },
+
+  // Alternating peaks and valleys
+  zigzag(frequency, amplitude, rng) {
+    const samples = [];
+    for (let i = 0; i < frequency * 2; i++) {
+      const height = amplitude * (0.85 + rng() * 0.3);
+      samples.push({ t: (i + 0.5) / (frequency * 2), offset: i % 2 === 0 ? height : -height });
+    }
+    return samples;
+  },
+
+  // Row of arcs bulging outward (negative amplitude bites inward, like stamp perforations)
+  scallop(frequency, amplitude, rng) {
+    const samples = [];
+    const steps = 6; // samples per arc
+    for (let arc = 0; arc < frequency; arc++) {
+      const height = amplitude * (0.85 + rng() * 0.3);
+      for (let step = arc === 0 ? 1 : 0; step < steps; step++) {
+        const local = step / steps;
+        samples.push({ t: (arc + local) / frequency, offset: -height * Math.sin(local * Math.PI) });
+      }
+    }
+    return samples;
+  },
+
+  // Jagged, correlated tear with occasional deeper rips
+  torn(frequency, amplitude, rng) {
+    const count = frequency * 6;
+    const samples = [];
+    let offset = 0;
+    for (let i = 0; i < count; i++) {
+      const t = (i + 0.2 + rng() * 0.6) / count;
+      offset = offset * 0.5 + randomInRange(rng, -amplitude, amplitude) * 0.5;
+      const rip = rng() < 0.1 ? amplitude * 0.5 : 0;
+      samples.push({ t, offset: Math.max(-amplitude, Math.min(amplitude, offset + rip)) });
+    }
+    return samples;
+  },
+};
+
 /**
  * Get position values (0-1) for edge points based on distribution
  * @param {number} count - Number of positions
@@ -87,6 +156,36 @@ function getPositions(count, distribution, rng) {
       positions.sort((a, b) => a - b);
       break;
 
+    case "jittered-even":
+    case "density":
+      // One random position per equal slice of the edge (stratified)
+      positions = [];
+      for (let i = 0; i < count; i++) {
+        positions.push(0.1 + ((i + rng()) / count) * 0.8);
+      }
+      break;
+
+    case "poisson":
+      // Random positions kept apart from each other (dart throwing)
+      positions = [];
+      for (let i = 0; i < count; i++) {
+        const minDistance = 0.4 / count;
+        let best = 0.5;
+        let bestDistance = -1;
+        for (let attempt = 0; attempt < 30; attempt++) {
+          const candidate = 0.1 + rng() * 0.8;
+          const distance = Math.min(Infinity, ...positions.map((p) => Math.abs(p - candidate)));
+          if (distance > bestDistance) {
+            best = candidate;
+            bestDistance = distance;
+          }
+          if (distance >= minDistance) break;
+        }
+        positions.push(best);
+      }
+      positions.sort((a, b) => a - b);
+      break;
+
     case "random":
     default:
       // Random positions
@@ -101,17 +200,83 @@ function getPositions(count, distribution, rng) {
   return positions;
 }
 
+/**
+ * Edge names in polygon order (edge i runs from corner i to corner i + 1), used for per-edge options
+ */
+export const EDGE_NAMES = ["top", "right", "bottom", "left"];
+
+/**
+ * Get the options of one edge, applying its per-edge overrides
+ * @param {object} edgeOptions - Edge options, optionally with top/right/bottom/left
+ * @param {number} index - Edge index (0=top, 1=right, 2=bottom, 3=left)
+ * @returns {object} - { points, edgeWobble, distribution, profile, frequency, amplitude }
+ */
+export function getEdgeOptions(edgeOptions, index) {
+  const shared = { ...edgeOptions };
+  EDGE_NAMES.forEach((name) => delete shared[name]);
+  return { ...shared, ...(edgeOptions[EDGE_NAMES[index]] || {}) };
+}
+
+/**
+ * Keep an edge point on the outer side of the safe area
+ * @param {{x: number, y: number}} point - Edge point
+ * @param {number} index - Edge index (0=top, 1=right, 2=bottom, 3=left)
+ * @param {object} safeRect - { left, top, right, bottom }
+ * @returns {{x: number, y: number}}
+ */
+function clampToSafeSide(point, index, safeRect) {
+  switch (index) {
+    case 0:
+      return { x: point.x, y: Math.min(point.y, safeRect.top) };
+    case 1:
+      return { x: Math.max(point.x, safeRect.right), y: point.y };
+    case 2:
+      return { x: point.x, y: Math.max(point.y, safeRect.bottom) };
+    default:
+      return { x: Math.min(point.x, safeRect.left), y: point.y };
+  }
+}
+
+/**
+ * Draw a fixed number of values up front and hand them out in order
+ * @param {function} rng - Random number generator
+ * @param {number} size - Number of values to draw
+ * @returns {function} - Random number generator serving the drawn values
+ */
+function createPoolRNG(rng, size) {
+  const pool = Array.from({ length: size }, () => rng());
+  let index = 0;
+  return () => (index < pool.length ? pool[index++] : rng());
+}
+
 /**
  * Insert edge points into a polygon between all edges
+ * With the 'density' distribution `points` is the count for an edge of average
+ * length; longer edges get proportionally more points.
  * @param {Array<{x: number, y: number}>} corners - Array of corner points
- * @param {object} edgeOptions - Edge options
+ * @param {object} edgeOptions - Edge options; top/right/bottom/left override them per edge
  * @param {function} rng - Random number generator
+ * @param {object} [safeRect] - Area edge points must not move into ({ left, top, right, bottom } coordinates)
  * @returns {Array<{x: number, y: number}>} - Complete polygon with edge points
  */
-export function insertEdgePoints(corners, edgeOptions, rng) {
-  const { points = 0 } = edgeOptions;
+export function insertEdgePoints(corners, edgeOptions, rng, safeRect = null) {
+  const lengths = corners.map((start, i) => {
+    const end = corners[(i + 1) % corners.length];
+    return Math.hypot(end.x - start.x, end.y - start.y);
+  });
+  const meanLength = lengths.reduce((sum, length) => sum + length, 0) / corners.length;
 
-  if (points <= 0) {
+  const perEdge = corners.map((_, i) => {
+    const options = getEdgeOptions(edgeOptions, i);
+    if (options.distribution === "density" && options.points > 0 && meanLength > 0) {
+      // No edge is longer than all edges together
+      options.maxPoints = options.points * corners.length;
+      options.points = Math.round((options.points * lengths[i]) / meanLength);
+    }
+    return options;
+  });
+
+  if (perEdge.every((options) => !PROFILES[options.profile] && !(options.points > 0))) {
     return corners;
   }
 
@@ -124,9 +289,13 @@ export function insertEdgePoints(corners, edgeOptions, rng) {
     // Add the corner
     polygon.push(start);
 
+    // Density edges change their point count with the size, so they draw a fixed number of
+    // values; otherwise replaying a recorded shape at another size shifts all later draws
+    const edgeRng = perEdge[i].maxPoints ? createPoolRNG(rng, perEdge[i].maxPoints * 2) : rng;
+
     // Generate and add edge points
-    const edgePoints = generateEdgePoints(start, end, edgeOptions, rng);
-    polygon.push(...edgePoints);
+    const edgePoints = generateEdgePoints(start, end, perEdge[i], edgeRng);
+    polygon.push(...(safeRect ? edgePoints.map((p) => clampToSafeSide(p, i, safeRect)) : edgePoints));
   }
 
   return polygon;
@@ -0,0 +1,157 @@
+/**
+ * Custom shape generators by name
+ */
+const generators = new Map();
+
+// Unknown generator and modifier names, each reported a single time
+const warned = new Set();
+
+/**
+ * Register a shape generator, or replace an existing one
+ * A generator receives the size of the space the shape is generated in (px, or
+ * sides scaled so sqrt(width * height) = 100 in '%' mode), the options with
+ * numeric offsets and the element's random number generator, and returns the
+ * polygon points in that space.
+ *
+ * @example
+ * registerGenerator('diamond', (width, height, options, rng) => [
+ *   { x: width / 2, y: 0 }, { x: width, y: height / 2 },
+ *   { x: width / 2, y: height }, { x: 0, y: height / 2 },
+ * ]);
+ *
+ * @param {string} name - Generator name, used as the `generator` option
+ * @param {function(number, number, object, function): Array<{x: number, y: number}>} generator
+ */
+export function registerGenerator(name, generator) {
+  if (typeof name !== "string" || !name) {
+    throw new TypeError("wabi.js: Generator name must be a non-empty string");
+  }
+  if (name === "polygon") {
+    throw new Error('wabi.js: "polygon" is the built-in generator and cannot be replaced');
+  }
+  if (typeof generator !== "function") {
+    throw new TypeError(`wabi.js: Generator "${name}" must be a function`);
+  }
+  generators.set(name, generator);
+}
+
+/**
+ * Get a registered generator
+ * @param {string} name - Generator name
+ * @returns {function|null} - Generator, or null (with a warning) for unknown names
+ */
+export function getGenerator(name) {
+  if (!generators.has(name)) {
+    if (!warned.has(name)) {
+      warned.add(name);
+      console.warn(`wabi.js: Unknown generator "${name}"`);
+    }
+    return null;
+  }
+  return generators.get(name);
+}
+
+/**
+ * Shape modifiers by name, including the built-in ones
+ */
+const modifiers = new Map();
+
+/**
+ * Register a shape modifier, or replace an existing one
+ * A modifier receives the generated points, the size of the generation space, the options,
+ * the element's random number generator and the parameters given next to its name, and
+ * returns the new points. Registered modifiers can be used by name from options, presets
+ * and data-wabi-modifiers.
+ *
+ * @example
+ * registerModifier('shiftX', (points, width, height, options, rng, { by = 2 }) =>
+ *   points.map((p) => ({ x: p.x + by, y: p.y })));
+ * wabi('.card', { modifiers: [{ name: 'shiftX', by: 4 }] });
+ *
+ * @param {string} name - Modifier name, used in the `modifiers` option
+ * @param {function(Array<{x: number, y: number}>, number, number, object, function, object): Array<{x: number, y: number}>} modifier
+ */
+export function registerModifier(name, modifier) {
+  if (typeof name !== "string" || !name) {
+    throw new TypeError("wabi.js: Modifier name must be a non-empty string");
+  }
+  if (typeof modifier !== "function") {
+    throw new TypeError(`wabi.js: Modifier "${name}" must be a function`);
+  }
+  modifiers.set(name, modifier);
+}
+
+/**
+ * Resolve an entry of the modifiers option
+ * @param {function|string|object} entry - A function, a registered name or { name, ...params }
+ * @returns {function|null} - (points, width, height, options, rng) => points, or null (with a warning) for unknown names
+ */
+export function getModifier(entry) {
+  if (typeof entry === "function") {
+    return entry;
+  }
+
+  const { name, ...params } = typeof entry === "string" ? { name: entry } : entry || {};
+  if (!modifiers.has(name)) {
+    const key = `modifier:${name}`;
+    if (!warned.has(key)) {
+      warned.add(key);
+      console.warn(`wabi.js: Unknown modifier "${name}"`);
+    }
+    return null;
+  }
+
+  const modifier = modifiers.get(name);
+  return (points, width, height, options, rng) => modifier(points, width, height, options, rng, params);
+}
+
+// Mirroring flips the winding, so the order is reversed to keep the polygon clockwise
+registerModifier("mirrorX", (points, width) => points.map((p) => ({ x: width - p.x, y: p.y })).reverse());
+registerModifier("mirrorY", (points, width, height) => points.map((p) => ({ x: p.x, y: height - p.y })).reverse());
+
+/**
+ * Point `distance` away from a vertex along its edge to another vertex
+ * Never reaches past the middle of the edge, where the other vertex's change starts.
+ */
+function towards(from, to, distance) {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  const t = length > 0 ? Math.min(distance / length, 0.5) : 0;
+  return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+}
+
+// Replace every vertex with a short curve between points `radius` away along its edges
+registerModifier("roundCorners", (points, width, height, options, rng, { radius = 2, segments = 4 } = {}) => {
+  if (points.length < 3 || !(radius > 0)) return points;
+
+  return points.flatMap((corner, i) => {
+    const previous = points[(i - 1 + points.length) % points.length];
+    const next = points[(i + 1) % points.length];
+    const start = towards(corner, previous, radius);
+    const end = towards(corner, next, radius);
+
+    // Quadratic Bézier with the vertex as control point
+    const curve = [];
+    for (let step = 0; step <= segments; step++) {
+      const t = step / segments;
+      const u = 1 - t;
+      curve.push({
+        x: u * u * start.x + 2 * u * t * corner.x + t * t * end.x,
+        y: u * u * start.y + 2 * u * t * corner.y + t * t * end.y,
+      });
+    }
+    return curve;
+  });
+});
+
+// Cut a step into every vertex, `size` deep along both of its edges
+registerModifier("notch", (points, width, height, options, rng, { size = 4 } = {}) => {
+  if (points.length < 3 || !(size > 0)) return points;
+
+  return points.flatMap((corner, i) => {
+    const start = towards(corner, points[(i - 1 + points.length) % points.length], size);
+    const end = towards(corner, points[(i + 1) % points.length], size);
+
+    // The inner corner completes the parallelogram of the two edges, like a square bite
+    return [start, { x: start.x + end.x - corner.x, y: start.y + end.y - corner.y }, end];
+  });
+});
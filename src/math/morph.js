@@ -0,0 +1,156 @@
+/**
+ * Distance between two points
+ * @param {object} a - Point {x, y}
+ * @param {object} b - Point {x, y}
+ * @returns {number}
+ */
+function distance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+/**
+ * Add points to a point list by repeatedly splitting its longest segment at the midpoint
+ * @param {Array<{x: number, y: number}>} points - Points
+ * @param {number} count - Target point count
+ * @param {boolean} closed - Whether the last point connects back to the first
+ * @returns {Array<{x: number, y: number}>} - Points, at least `count` of them
+ */
+function subdivide(points, count, closed) {
+  const result = points.slice();
+
+  if (result.length < 2) {
+    return result;
+  }
+
+  const segments = () => (closed ? result.length : result.length - 1);
+
+  while (result.length < count) {
+    let longestIndex = 0;
+    let longestLength = -1;
+
+    for (let i = 0; i < segments(); i++) {
+      const length = distance(result[i], result[(i + 1) % result.length]);
+      if (length > longestLength) {
+        longestLength = length;
+        longestIndex = i;
+      }
+    }
+
+    const start = result[longestIndex];
+    const end = result[(longestIndex + 1) % result.length];
+    result.splice(longestIndex + 1, 0, {
+      x: (start.x + end.x) / 2,
+      y: (start.y + end.y) / 2,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Resample a polygon to a higher vertex count without changing its shape
+ * Repeatedly splits the longest edge at its midpoint
+ * @param {Array<{x: number, y: number}>} points - Polygon points
+ * @param {number} count - Target vertex count
+ * @returns {Array<{x: number, y: number}>} - Polygon with at least `count` points
+ */
+export function resamplePolygon(points, count) {
+  return subdivide(points, count, true);
+}
+
+/**
+ * Find the vertices closest to the four corners of a polygon's bounding box
+ * @param {Array<{x: number, y: number}>} points - Polygon points
+ * @returns {number[]|null} - Indices of the top-left, top-right, bottom-right and bottom-left
+ *   vertices, or null when they aren't four distinct vertices in polygon order
+ */
+function findCornerAnchors(points) {
+  if (points.length < 4) {
+    return null;
+  }
+
+  const xs = points.map((p) => p.x);
+  const ys = points.map((p) => p.y);
+  const [left, right, top, bottom] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  const corners = [
+    { x: left, y: top },
+    { x: right, y: top },
+    { x: right, y: bottom },
+    { x: left, y: bottom },
+  ];
+
+  const anchors = corners.map((corner) => {
+    let nearest = 0;
+    points.forEach((point, index) => {
+      if (distance(point, corner) < distance(points[nearest], corner)) {
+        nearest = index;
+      }
+    });
+    return nearest;
+  });
+
+  // Walking from each anchor to the next must go around the polygon exactly once
+  const steps = anchors.map((anchor, i) => (anchors[(i + 1) % 4] - anchor + points.length) % points.length);
+  if (steps.some((step) => step === 0) || steps.reduce((sum, step) => sum + step, 0) !== points.length) {
+    return null;
+  }
+
+  return anchors;
+}
+
+/**
+ * Split a polygon into its four sides between corner anchors
+ * @param {Array<{x: number, y: number}>} points - Polygon points
+ * @param {number[]} anchors - Anchor indices from findCornerAnchors
+ * @returns {Array<Array<{x: number, y: number}>>} - Sides, each including both of its anchors
+ */
+function splitSides(points, anchors) {
+  return anchors.map((anchor, i) => {
+    const side = [];
+    const end = anchors[(i + 1) % 4];
+    for (let index = anchor; index !== end; index = (index + 1) % points.length) {
+      side.push(points[index]);
+    }
+    side.push(points[end]);
+    return side;
+  });
+}
+
+/**
+ * Resample polygons to a common vertex count
+ * Sides between matching corners are resampled separately, so corners morph into corners
+ * and edge points stay on their edge. Polygons without four clear corners (like custom
+ * generator shapes) are resampled as a whole.
+ * @param {...Array<{x: number, y: number}>} polygons - Polygons, e.g. the start and end of a morph
+ * @returns {Array<Array<{x: number, y: number}>>} - The polygons in the same order, with equal lengths
+ */
+export function matchPolygons(...polygons) {
+  const anchors = polygons.map(findCornerAnchors);
+
+  if (anchors.some((polygonAnchors) => !polygonAnchors)) {
+    const count = Math.max(...polygons.map((polygon) => polygon.length));
+    return polygons.map((polygon) => resamplePolygon(polygon, count));
+  }
+
+  const sides = polygons.map((polygon, i) => splitSides(polygon, anchors[i]));
+  const counts = [0, 1, 2, 3].map((index) => Math.max(...sides.map((polygonSides) => polygonSides[index].length)));
+
+  // The end anchor of each side starts the next one
+  return sides.map((polygonSides) =>
+    polygonSides.flatMap((side, index) => subdivide(side, counts[index], false).slice(0, -1))
+  );
+}
+
+/**
+ * Linearly interpolate between two polygons with equal vertex counts
+ * @param {Array<{x: number, y: number}>} from - Start polygon
+ * @param {Array<{x: number, y: number}>} to - End polygon
+ * @param {number} t - Progress (0-1, may overshoot for spring easing)
+ * @returns {Array<{x: number, y: number}>} - Interpolated polygon
+ */
+export function interpolatePolygon(from, to, t) {
+  return from.map((point, index) => ({
+    x: point.x + (to[index].x - point.x) * t,
+    y: point.y + (to[index].y - point.y) * t,
+  }));
+}
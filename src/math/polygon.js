@@ -1,14 +1,22 @@
-import { generateCorners } from "./corners.js";
-import { insertEdgePoints } from "./edges.js";
-import { getRNG } from "../utils/random.js";
+import { generateCorners, CORNER_NAMES } from "./corners.js";
+import { insertEdgePoints, EDGE_NAMES } from "./edges.js";
+import { getRNG, randomInRange } from "../utils/random.js";
+import { parseLength, lengthToPixels } from "../utils/units.js";
+import { getPreset } from "../utils/presets.js";
+import { getGenerator, getModifier } from "./generators.js";
 
 /**
- * Select which corners to cut randomly
- * @param {number} count - Number of corners to cut (0-4)
+ * Select which corners to cut
+ * @param {number|Array<string>} cutCorners - Number of random corners (0-4) or list of corner names
  * @param {function} rng - Random number generator
  * @returns {Set<number>} - Set of corner indices to cut
  */
-function selectCornersToCut(count, rng) {
+function selectCornersToCut(cutCorners, rng) {
+  if (Array.isArray(cutCorners)) {
+    return new Set(cutCorners.map((name) => CORNER_NAMES.indexOf(name)).filter((index) => index >= 0));
+  }
+
+  const count = cutCorners;
   if (count <= 0) return new Set();
   if (count >= 4) return new Set([0, 1, 2, 3]);
 
@@ -24,83 +32,396 @@ function selectCornersToCut(count, rng) {
   return selected;
 }
 
+/**
+ * Which side of the line from a to b a point lies on
+ * @returns {number} - >= 0 when q is on the inner side of a clockwise polygon edge
+ */
+function cross(a, b, q) {
+  return (b.x - a.x) * (q.y - a.y) - (b.y - a.y) * (q.x - a.x);
+}
+
+/**
+ * Get the corner of the safe area that belongs to a polygon corner
+ * @param {object} safeRect - { left, top, right, bottom }
+ * @param {number} cornerIndex - 0=TL, 1=TR, 2=BR, 3=BL
+ * @returns {{x: number, y: number}}
+ */
+function getSafeCorner(safeRect, cornerIndex) {
+  return {
+    x: cornerIndex === 0 || cornerIndex === 3 ? safeRect.left : safeRect.right,
+    y: cornerIndex === 0 || cornerIndex === 1 ? safeRect.top : safeRect.bottom,
+  };
+}
+
+/**
+ * Whether a segment passes through the inside of a rectangle (touching its border is fine)
+ * @param {object} a - Segment start
+ * @param {object} b - Segment end
+ * @param {object} rect - { left, top, right, bottom }
+ * @returns {boolean}
+ */
+function crossesRect(a, b, rect) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  let t0 = 0;
+  let t1 = 1;
+
+  // Liang-Barsky: clip the segment's parameter range to each side of the rectangle
+  const clip = (p, q) => {
+    if (p === 0) return q > 0;
+    const t = q / p;
+    if (p < 0) {
+      t0 = Math.max(t0, t);
+    } else {
+      t1 = Math.min(t1, t);
+    }
+    return t0 < t1;
+  };
+
+  return clip(-dx, a.x - rect.left) &&
+    clip(dx, rect.right - a.x) &&
+    clip(-dy, a.y - rect.top) &&
+    clip(dy, rect.bottom - a.y) &&
+    t1 - t0 > 1e-9;
+}
+
+/**
+ * Whether q lies strictly inside the triangle a, b, c
+ */
+function inTriangle(a, b, c, q) {
+  const d1 = cross(a, b, q);
+  const d2 = cross(b, c, q);
+  const d3 = cross(c, a, q);
+  return (d1 > 0 && d2 > 0 && d3 > 0) || (d1 < 0 && d2 < 0 && d3 < 0);
+}
+
+/**
+ * Reduce a chamfer until its cut no longer reaches into the safe area
+ * The neighbors are their current positions, which earlier chamfers may already have moved,
+ * so a cut between two chamfered corners is checked once both ends are in place.
+ * @param {object} point - Corner point
+ * @param {object} prevPoint - Previous polygon point
+ * @param {object} nextPoint - Next polygon point
+ * @param {object} midpoint - Point the corner moves toward
+ * @param {number} chamfer - Requested chamfer (0-1)
+ * @param {object} safeRect - Area that is never clipped
+ * @param {object} safeCorner - Corner of the safe area nearest to the point
+ * @returns {number} - Largest safe chamfer up to the requested one
+ */
+function limitChamfer(point, prevPoint, nextPoint, midpoint, chamfer, safeRect, safeCorner) {
+  const isSafe = (amount) => {
+    const moved = {
+      x: point.x + (midpoint.x - point.x) * amount,
+      y: point.y + (midpoint.y - point.y) * amount,
+    };
+    // A full cut removes the point, leaving a direct line between its neighbors
+    if (amount >= 1 ? crossesRect(prevPoint, nextPoint, safeRect)
+      : crossesRect(prevPoint, moved, safeRect) || crossesRect(moved, nextPoint, safeRect)) {
+      return false;
+    }
+    // Without crossing the new lines, the safe area can only be lost by cutting it off whole
+    return !inTriangle(prevPoint, point, moved, safeCorner) && !inTriangle(point, nextPoint, moved, safeCorner);
+  };
+
+  if (isSafe(chamfer)) {
+    return chamfer;
+  }
+
+  // Bisect between no cut and the requested cut
+  let low = 0;
+  let high = chamfer;
+  for (let i = 0; i < 20; i++) {
+    const mid = (low + high) / 2;
+    if (isSafe(mid)) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
 /**
  * Generate a complete irregular polygon for an element
+ * Offsets may be numbers, CSS length strings or { min, max } ranges, as in wabi() options.
  * @param {number} width - Element width (100 for percentage mode)
  * @param {number} height - Element height (100 for percentage mode)
  * @param {object} options - Generation options
  * @param {object} options.corners - Corner displacement options
  * @param {object} options.edges - Edge point options
- * @param {number} options.cutCorners - Number of corners to cut (0-4)
+ * @param {number|Array<string>} options.cutCorners - Number of random corners to cut (0-4)
+ *   or a list of corner names ('topLeft', 'topRight', 'bottomRight', 'bottomLeft')
+ * @param {number|string|object} [options.safeArea] - Inset that is never clipped
+ * @param {object} [options.safeRect] - Area that is never clipped ({ left, top, right, bottom } coordinates), instead of safeArea
  * @param {number|null} options.seed - Random seed (null for Math.random)
+ * @param {function} [rng] - Random number generator (defaults to one from options.seed)
+ * @param {object} [context] - Font and viewport sizes for em, rem and viewport units (see lengthToPixels)
  * @returns {Array<{x: number, y: number}>} - Array of polygon points
  */
-export function generatePolygon(width, height, options) {
+export function generatePolygon(width, height, options, rng = getRNG(options.seed), context = {}) {
+  const resolved = resolveOffsets(options, width, height, 1, context, rng);
+  if (options.safeRect) {
+    resolved.safeRect = options.safeRect;
+  }
+  return buildPolygon(width, height, resolved, rng);
+}
+
+/**
+ * Generate the built-in polygon from options whose offsets are already numbers
+ * @param {number} width - Width of the generation space
+ * @param {number} height - Height of the generation space
+ * @param {object} options - Options with numeric offsets and the safeRect
+ * @param {function} rng - Random number generator
+ * @returns {Array<{x: number, y: number}>}
+ */
+function buildPolygon(width, height, options, rng) {
   const {
     corners: cornerOptions = { x: 0, y: 0 },
     edges: edgeOptions = { points: 0, edgeWobble: 0 },
     cutCorners = 0,
     cornerChamfer = 1,
-    seed = null,
+    safeRect = null,
   } = options;
 
-  // Get random number generator
-  const rng = getRNG(seed);
-
   // Generate displaced corners
-  const corners = generateCorners(width, height, cornerOptions, rng);
+  const corners = generateCorners(width, height, cornerOptions, rng, safeRect);
 
   // FIRST: Insert edge points between all 4 corners
-  let polygon = insertEdgePoints(corners, edgeOptions, rng);
+  let polygon = insertEdgePoints(corners, edgeOptions, rng, safeRect);
 
   // THEN: Handle cut corners based on chamfer value
-  if (cutCorners > 0) {
-    const cornersToCut = selectCornersToCut(cutCorners, rng);
-    const pointsPerEdge = edgeOptions.points || 0;
-    const stride = pointsPerEdge + 1; // distance between corner indices in polygon
-    const chamfer = cornerChamfer ?? 1;
-
-    if (chamfer >= 1) {
-      // Full cut - remove corner points entirely
-      polygon = polygon.filter((_, index) => {
-        const cornerIndex = Math.floor(index / stride);
-        const isCornerPoint = index % stride === 0;
-        return !(isCornerPoint && cornersToCut.has(cornerIndex));
-      });
-    } else if (chamfer > 0) {
-      // Partial chamfer - move corners toward cut line
-      polygon = polygon.map((point, index) => {
-        const cornerIndex = Math.floor(index / stride);
-        const isCornerPoint = index % stride === 0;
-
-        if (isCornerPoint && cornersToCut.has(cornerIndex)) {
-          // Find adjacent points (previous and next in polygon)
-          const prevIndex = (index - 1 + polygon.length) % polygon.length;
-          const nextIndex = (index + 1) % polygon.length;
-          const prevPoint = polygon[prevIndex];
-          const nextPoint = polygon[nextIndex];
-
-          // Calculate midpoint of deletion line
-          const midpoint = {
-            x: (prevPoint.x + nextPoint.x) / 2,
-            y: (prevPoint.y + nextPoint.y) / 2,
-          };
-
-          // Move corner toward midpoint by chamfer amount
-          return {
-            x: point.x + (midpoint.x - point.x) * chamfer,
-            y: point.y + (midpoint.y - point.y) * chamfer,
-          };
-        }
-        return point;
-      });
-    }
-    // chamfer === 0: no change to polygon
+  const cutCount = Array.isArray(cutCorners) ? cutCorners.length : cutCorners;
+  const chamfer = cornerChamfer ?? 1;
+  if (cutCount > 0) {
+    // Drifting generators expose a fixed variant so the cut corners don't jump
+    const cornersToCut = selectCornersToCut(cutCorners, rng.fixed || rng);
+
+    const cut = polygon.slice();
+
+    corners.forEach((corner, cornerIndex) => {
+      if (!cornersToCut.has(cornerIndex)) return;
+
+      // Corner points are carried over into the polygon as-is, so they can be found by identity
+      const index = polygon.indexOf(corner);
+      const before = polygon[(index - 1 + polygon.length) % polygon.length];
+      const after = polygon[(index + 1) % polygon.length];
+
+      // Move toward the midpoint between the original neighbors, so cuts don't depend on each other
+      const midpoint = {
+        x: (before.x + after.x) / 2,
+        y: (before.y + after.y) / 2,
+      };
+
+      const cutIndex = cut.indexOf(corner);
+      const prevPoint = cut[(cutIndex - 1 + cut.length) % cut.length];
+      const nextPoint = cut[(cutIndex + 1) % cut.length];
+
+      const amount = safeRect
+        ? limitChamfer(corner, prevPoint, nextPoint, midpoint, Math.min(chamfer, 1), safeRect, getSafeCorner(safeRect, cornerIndex))
+        : chamfer;
+
+      if (amount >= 1) {
+        // Full cut - remove corner point entirely
+        cut.splice(cutIndex, 1);
+      } else {
+        // Partial chamfer - move corner toward midpoint by chamfer amount
+        cut[cutIndex] = {
+          x: corner.x + (midpoint.x - corner.x) * amount,
+          y: corner.y + (midpoint.y - corner.y) * amount,
+        };
+      }
+    });
+
+    polygon = cut;
   }
 
   return polygon;
 }
 
+// Unparseable offsets warned about once each; offsets are resolved again for every new shape
+const warnedOffsets = new Set();
+
+/**
+ * Resolve a corner or edge offset to the coordinate space the polygon is generated in
+ * Numbers keep their meaning (px, or % of sqrt(width * height) in '%' mode), CSS length
+ * strings are converted through px and { min, max } ranges are drawn from.
+ * @param {number|string|object} value - Offset option
+ * @param {number} reference - Size in px that '%' lengths refer to
+ * @param {number} scale - Generation units per px
+ * @param {object} context - Sizes for relative units (see lengthToPixels)
+ * @param {function} rng - Random number generator for ranges
+ * @returns {number} - Offset in generation units
+ */
+function resolveOffset(value, reference, scale, context, rng) {
+  if (typeof value === "number") {
+    return value;
+  }
+
+  if (value && typeof value === "object") {
+    const min = resolveOffset(value.min ?? 0, reference, scale, context, rng);
+    const max = resolveOffset(value.max ?? value.min ?? 0, reference, scale, context, rng);
+    return randomInRange(rng, min, max);
+  }
+
+  const length = parseLength(String(value));
+  if (!length) {
+    if (!warnedOffsets.has(String(value))) {
+      warnedOffsets.add(String(value));
+      console.warn(`wabi.js: Could not parse offset "${value}", using 0`);
+    }
+    return 0;
+  }
+  if (length.unit === null) {
+    return length.value;
+  }
+  return lengthToPixels(length, reference, context) * scale;
+}
+
+/**
+ * Resolve length strings and ranges of corners.x, corners.y, edges.edgeWobble and
+ * edges.amplitude, including the per-corner and per-edge overrides
+ * '%' lengths refer to the width (x), the height (y) or sqrt(width * height) (edge offsets).
+ * @param {object} options - Generation options
+ * @param {number} width - Element width in px
+ * @param {number} height - Element height in px
+ * @param {number} scale - Generation units per px
+ * @param {object} context - Sizes for relative units
+ * @param {function} rng - Random number generator
+ * @returns {object} - Options with numeric offsets
+ */
+function resolveOffsets(options, width, height, scale, context, rng) {
+  const { corners = {}, edges = {} } = options;
+  // Drifting generators expose a fixed variant so ranges don't flicker
+  const fixedRng = rng.fixed || rng;
+  const resolveCorner = (corner) => ({
+    ...corner,
+    ...(corner.x !== undefined ? { x: resolveOffset(corner.x, width, scale, context, fixedRng) } : {}),
+    ...(corner.y !== undefined ? { y: resolveOffset(corner.y, height, scale, context, fixedRng) } : {}),
+  });
+  const resolveEdge = (edge) => {
+    const resolved = { ...edge };
+    ["edgeWobble", "amplitude"].forEach((key) => {
+      if (edge[key] !== undefined) {
+        resolved[key] = resolveOffset(edge[key], Math.sqrt(width * height), scale, context, fixedRng);
+      }
+    });
+    return resolved;
+  };
+
+  const resolvedCorners = resolveCorner({ x: 0, y: 0, ...corners });
+  CORNER_NAMES.forEach((name) => {
+    if (corners[name]) resolvedCorners[name] = resolveCorner(corners[name]);
+  });
+
+  const resolvedEdges = resolveEdge({ edgeWobble: 0, ...edges });
+  EDGE_NAMES.forEach((name) => {
+    if (edges[name]) resolvedEdges[name] = resolveEdge(edges[name]);
+  });
+
+  return {
+    ...options,
+    corners: resolvedCorners,
+    edges: resolvedEdges,
+    safeRect: resolveSafeArea(options.safeArea, width, height, scale, context, fixedRng),
+  };
+}
+
+/**
+ * Resolve the safeArea option to a rectangle in generation units
+ * @param {number|string|object|null} safeArea - Inset for all sides, { top, right, bottom, left }
+ *   or 'padding' for the element's padding and border (context.padding, px)
+ * @param {number} width - Element width in px
+ * @param {number} height - Element height in px
+ * @param {number} scale - Generation units per px
+ * @param {object} context - Sizes for relative units
+ * @param {function} rng - Random number generator for ranges
+ * @returns {object|null} - { left, top, right, bottom } coordinates, or null without a safe area
+ */
+function resolveSafeArea(safeArea, width, height, scale, context, rng) {
+  if (safeArea === null || safeArea === undefined || safeArea === false) {
+    return null;
+  }
+
+  let insets;
+  if (safeArea === "padding") {
+    const { top = 0, right = 0, bottom = 0, left = 0 } = context.padding || {};
+    insets = { top: top * scale, right: right * scale, bottom: bottom * scale, left: left * scale };
+  } else {
+    const sides = typeof safeArea === "object"
+      ? safeArea
+      : { top: safeArea, right: safeArea, bottom: safeArea, left: safeArea };
+    // Like the offsets, plain numbers are in generation units; '%' refers to the matching dimension
+    const resolve = (value, reference) => Math.max(0, resolveOffset(value ?? 0, reference, scale, context, rng));
+    insets = {
+      top: resolve(sides.top, height),
+      right: resolve(sides.right, width),
+      bottom: resolve(sides.bottom, height),
+      left: resolve(sides.left, width),
+    };
+  }
+
+  return {
+    left: insets.left,
+    top: insets.top,
+    right: width * scale - insets.right,
+    bottom: height * scale - insets.bottom,
+  };
+}
+
+/**
+ * Generate the shape points with the configured generator and modifiers
+ * @param {number} width - Width of the generation space
+ * @param {number} height - Height of the generation space
+ * @param {object} options - Options with numeric offsets
+ * @param {function} rng - Random number generator
+ * @returns {Array<{x: number, y: number}>}
+ */
+function generateShapePoints(width, height, options, rng) {
+  const { generator = "polygon", modifiers = [] } = options;
+
+  let generate = buildPolygon;
+  if (typeof generator === "function") {
+    generate = generator;
+  } else if (generator !== "polygon") {
+    generate = getGenerator(generator) || buildPolygon;
+  }
+
+  return modifiers.reduce((points, entry) => {
+    const modifier = getModifier(entry);
+    return modifier ? modifier(points, width, height, options, rng) : points;
+  }, generate(width, height, options, rng));
+}
+
+/**
+ * Generate a polygon in the coordinate space of the given units
+ * In '%' mode offsets are relative to sqrt(width * height), so shapes look
+ * the same at any size, and points are normalized back to 0-100.
+ * Offsets may also be CSS lengths ('4px', '2%', '0.3em', '1vw') or { min, max } ranges.
+ * The shape comes from options.generator (see registerGenerator) and is passed through options.modifiers.
+ * @param {number} width - Element width in px (only the aspect ratio matters in '%' mode)
+ * @param {number} height - Element height in px
+ * @param {object} options - Generation options (see generatePolygon)
+ * @param {function} [rng] - Random number generator (defaults to one from options.seed)
+ * @param {object} [context] - Font and viewport sizes for em, rem and viewport units (see lengthToPixels)
+ * @returns {Array<{x: number, y: number}>} - Array of polygon points in px or %
+ */
+export function generateUnitPolygon(width, height, options, rng = getRNG(options.seed), context = {}) {
+  if (options.units !== "%") {
+    return generateShapePoints(width, height, resolveOffsets(options, width, height, 1, context, rng), rng);
+  }
+
+  const base = Math.sqrt(width * height);
+  const genWidth = (width / base) * 100;
+  const genHeight = (height / base) * 100;
+  const resolved = resolveOffsets(options, width, height, 100 / base, context, rng);
+
+  // Normalize back to 0-100%
+  return generateShapePoints(genWidth, genHeight, resolved, rng).map((p) => ({
+    x: (p.x / genWidth) * 100,
+    y: (p.y / genHeight) * 100,
+  }));
+}
+
 /**
  * Default options for polygon generation
  */
@@ -115,20 +436,37 @@ export const defaultOptions = {
     edgeWobble: 3,
     distribution: "random",
   },
-  cutCorners: 0, // number of corners to cut (0-4)
+  cutCorners: 0, // number of random corners to cut (0-4) or a list like ['topRight']
   cornerChamfer: 1, // 0-1, how far cut corners move inward (1 = full cut)
+  edgeStyle: "straight", // 'straight' | 'curved'
   shadow: null, // disabled by default; set to object to enable
+  stroke: null, // disabled by default; set to object to enable
   seed: null,
+  seedStrategy: "shared", // 'shared' | 'index' | 'id' | 'content-hash'
   units: "%",
   preserveOnResize: true,
+  hydrate: true, // adopt an existing seeded clip-path (e.g. server-rendered) instead of re-rolling
+  respectReducedMotion: true, // show a single static shape when the user prefers reduced motion
+  responsive: null, // map of media queries / element-width conditions to partial options
+  generator: "polygon", // built-in generator, a registered name or a function
+  modifiers: [], // functions (points, width, height, options, rng) => points, registered names or { name, ...params }, applied after generating
+  safeArea: null, // inset (number, CSS length, { top, right, bottom, left }) or 'padding' that is never clipped
+  states: null, // { hover, focus, active } partial options, plus an optional transition
+  pointer: null, // true or { radius, strength, mode, stiffness, damping } to deform around the cursor
+  onEnter: null, // true or { from, duration, easing, once } to settle from a distorted shape when entering the viewport
+  scroll: null, // { from, to, easing } partial options interpolated by scroll progress through the viewport
 };
 
 /**
  * Merge user options with defaults
- * @param {object} userOptions - User provided options
+ * @param {object} userOptions - User provided options; `preset` names a registered preset they extend
  * @returns {object} - Merged options
  */
 export function mergeOptions(userOptions) {
+  if (userOptions.preset) {
+    return overrideOptions(mergeOptions({}), userOptions);
+  }
+
   // Handle shadow: false explicitly disables, null uses default (disabled), object enables
   let shadow = defaultOptions.shadow;
   if (userOptions.shadow === false) {
@@ -137,6 +475,14 @@ export function mergeOptions(userOptions) {
     shadow = userOptions.shadow;
   }
 
+  // Stroke follows the same rules as shadow
+  let stroke = defaultOptions.stroke;
+  if (userOptions.stroke === false) {
+    stroke = false;
+  } else if (userOptions.stroke && typeof userOptions.stroke === "object") {
+    stroke = userOptions.stroke;
+  }
+
   return {
     corners: {
       ...defaultOptions.corners,
@@ -154,14 +500,90 @@ export function mergeOptions(userOptions) {
       userOptions.cornerChamfer !== undefined
         ? userOptions.cornerChamfer
         : defaultOptions.cornerChamfer,
+    edgeStyle: userOptions.edgeStyle || defaultOptions.edgeStyle,
     shadow,
+    stroke,
     seed: userOptions.seed !== undefined ? userOptions.seed : defaultOptions.seed,
+    seedStrategy: userOptions.seedStrategy || defaultOptions.seedStrategy,
     units: userOptions.units || defaultOptions.units,
     preserveOnResize:
       userOptions.preserveOnResize !== undefined
         ? userOptions.preserveOnResize
         : defaultOptions.preserveOnResize,
+    hydrate:
+      userOptions.hydrate !== undefined
+        ? userOptions.hydrate
+        : defaultOptions.hydrate,
+    respectReducedMotion:
+      userOptions.respectReducedMotion !== undefined
+        ? userOptions.respectReducedMotion
+        : defaultOptions.respectReducedMotion,
+    responsive:
+      userOptions.responsive && typeof userOptions.responsive === "object"
+        ? userOptions.responsive
+        : defaultOptions.responsive,
+    generator: userOptions.generator || defaultOptions.generator,
+    modifiers: Array.isArray(userOptions.modifiers) ? userOptions.modifiers : defaultOptions.modifiers,
+    safeArea: userOptions.safeArea !== undefined ? userOptions.safeArea : defaultOptions.safeArea,
+    states:
+      userOptions.states && typeof userOptions.states === "object"
+        ? userOptions.states
+        : defaultOptions.states,
+    pointer:
+      userOptions.pointer === true || (userOptions.pointer && typeof userOptions.pointer === "object")
+        ? userOptions.pointer
+        : defaultOptions.pointer,
+    onEnter:
+      userOptions.onEnter === true || (userOptions.onEnter && typeof userOptions.onEnter === "object")
+        ? userOptions.onEnter
+        : defaultOptions.onEnter,
+    scroll:
+      userOptions.scroll && typeof userOptions.scroll === "object"
+        ? userOptions.scroll
+        : defaultOptions.scroll,
+  };
+}
+
+/**
+ * Apply partial options on top of a complete option set
+ * Nested corner, edge, shadow and stroke options are merged instead of replaced.
+ * A `preset` is layered on first, so the other overrides win over it.
+ * @param {object} current - Current options
+ * @param {object} overrides - Partial options
+ * @returns {object} - Merged options
+ */
+export function overrideOptions(current, overrides) {
+  if (overrides.preset) {
+    const { preset: name, ...rest } = overrides;
+    const preset = getPreset(name);
+    return overrideOptions(preset ? overrideOptions(current, preset) : current, rest);
+  }
+
+  const merged = {
+    ...current,
+    ...overrides,
+    corners: { ...current.corners, ...(overrides.corners || {}) },
+    edges: { ...current.edges, ...(overrides.edges || {}) },
+    cutCorners: overrides.cutCorners ?? current.cutCorners,
+    cornerChamfer: overrides.cornerChamfer ?? current.cornerChamfer,
   };
+
+  if (overrides.shadow === false) {
+    merged.shadow = false;
+  } else if (Array.isArray(overrides.shadow) || Array.isArray(current.shadow)) {
+    // Layer lists are replaced rather than merged
+    merged.shadow = overrides.shadow ?? current.shadow;
+  } else if (overrides.shadow && typeof overrides.shadow === "object") {
+    merged.shadow = { ...(current.shadow || {}), ...overrides.shadow };
+  }
+
+  if (overrides.stroke === false) {
+    merged.stroke = false;
+  } else if (overrides.stroke && typeof overrides.stroke === "object") {
+    merged.stroke = { ...(current.stroke || {}), ...overrides.stroke };
+  }
+
+  return mergeOptions(merged);
 }
 
 /**
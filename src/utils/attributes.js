@@ -0,0 +1,159 @@
+import { parseShorthand } from "../math/polygon.js";
+
+/**
+ * Attribute that marks an element for declarative wabi rendering
+ */
+export const WABI_ATTRIBUTE = "data-wabi";
+
+/**
+ * Map of data attributes to option paths and value parsers
+ * Each entry is [path, parser] where path is a list of option keys
+ */
+const ATTRIBUTE_OPTIONS = {
+  "data-wabi-corners-x": [["corners", "x"], toLength],
+  "data-wabi-corners-y": [["corners", "y"], toLength],
+  "data-wabi-corners-independent": [["corners", "independent"], toBoolean],
+  "data-wabi-edges-points": [["edges", "points"], toNumber],
+  "data-wabi-edges-wobble": [["edges", "edgeWobble"], toLength],
+  "data-wabi-edges-distribution": [["edges", "distribution"], toString],
+  "data-wabi-edges-profile": [["edges", "profile"], toString],
+  "data-wabi-edges-frequency": [["edges", "frequency"], toNumber],
+  "data-wabi-edges-amplitude": [["edges", "amplitude"], toLength],
+  "data-wabi-cut-corners": [["cutCorners"], toCutCorners],
+  "data-wabi-corner-chamfer": [["cornerChamfer"], toNumber],
+  "data-wabi-edge-style": [["edgeStyle"], toString],
+  "data-wabi-safe-area": [["safeArea"], toLength],
+  "data-wabi-preset": [["preset"], toString],
+  "data-wabi-generator": [["generator"], toString],
+  "data-wabi-modifiers": [["modifiers"], toModifiers],
+  "data-wabi-seed": [["seed"], toNumber],
+  "data-wabi-seed-strategy": [["seedStrategy"], toString],
+  "data-wabi-units": [["units"], toString],
+  "data-wabi-shadow": [["shadow"], toShadow],
+  "data-wabi-stroke": [["stroke"], toShadow],
+  "data-wabi-responsive": [["responsive"], parseJSON],
+  "data-wabi-states": [["states"], parseJSON],
+  "data-wabi-pointer": [["pointer"], toShadow],
+  "data-wabi-on-enter": [["onEnter"], toShadow],
+  "data-wabi-scroll": [["scroll"], parseJSON],
+  "data-wabi-respect-reduced-motion": [["respectReducedMotion"], toBoolean],
+  "data-wabi-animate": [["animate"], toAnimate],
+};
+
+/**
+ * List of all attributes that affect the declarative options
+ */
+export const WABI_ATTRIBUTES = [WABI_ATTRIBUTE, ...Object.keys(ATTRIBUTE_OPTIONS)];
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return isFinite(number) ? number : undefined;
+}
+
+// Offsets: plain numbers, CSS lengths ("4px", "0.3em") or a JSON range ({"min": 2, "max": 6})
+function toLength(value) {
+  const trimmed = value.trim();
+  if (trimmed.startsWith("{")) return parseJSON(trimmed);
+  const number = Number(trimmed);
+  return trimmed !== "" && isFinite(number) ? number : toString(trimmed);
+}
+
+// Cut corners: a count ("2") or corner names ("topRight bottomLeft")
+function toCutCorners(value) {
+  const count = toNumber(value);
+  if (count !== undefined) return count;
+  const names = value.split(/[\s,]+/).filter(Boolean);
+  return names.length > 0 ? names : undefined;
+}
+
+// Modifiers: registered names ("mirrorX roundCorners") or a JSON array with parameters
+function toModifiers(value) {
+  const trimmed = value.trim();
+  if (trimmed.startsWith("[")) return parseJSON(trimmed);
+  const names = trimmed.split(/[\s,]+/).filter(Boolean);
+  return names.length > 0 ? names : undefined;
+}
+
+function toBoolean(value) {
+  return value !== "false" && value !== "0";
+}
+
+function toString(value) {
+  return value || undefined;
+}
+
+// Shadow and stroke: "false"/"none" disables, empty/"true" uses defaults, otherwise JSON
+function toShadow(value) {
+  if (value === "false" || value === "none") return false;
+  if (value === "" || value === "true") return {};
+  return parseJSON(value);
+}
+
+function toAnimate(value) {
+  if (value === "false") return false;
+  const interval = toNumber(value);
+  return interval !== undefined ? { interval } : true;
+}
+
+function parseJSON(value) {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    console.warn(`wabi.js: Could not parse attribute value "${value}"`);
+    return undefined;
+  }
+}
+
+/**
+ * Parse the value of the data-wabi attribute itself
+ * Accepts an empty value, a JSON options object, a preset name or shorthand numbers ("5 4 2")
+ * @param {string} value - Attribute value
+ * @returns {object} - Options object
+ */
+function parseBaseValue(value) {
+  const trimmed = (value || "").trim();
+
+  if (trimmed === "") {
+    return {};
+  }
+
+  if (trimmed.startsWith("{")) {
+    return parseJSON(trimmed) || {};
+  }
+
+  if (/^[a-zA-Z][\w-]*$/.test(trimmed)) {
+    return { preset: trimmed };
+  }
+
+  const numbers = trimmed.split(/[\s,]+/).map(Number);
+  if (numbers.some((n) => !isFinite(n))) {
+    return {};
+  }
+  return parseShorthand([null, ...numbers]);
+}
+
+/**
+ * Read wabi options from an element's data attributes
+ * @param {Element} element - Element with a data-wabi attribute
+ * @returns {object} - Options object suitable for mergeOptions
+ */
+export function parseAttributes(element) {
+  const options = parseBaseValue(element.getAttribute(WABI_ATTRIBUTE));
+
+  for (const [attribute, [path, parse]] of Object.entries(ATTRIBUTE_OPTIONS)) {
+    if (!element.hasAttribute(attribute)) continue;
+
+    const value = parse(element.getAttribute(attribute));
+    if (value === undefined) continue;
+
+    // Walk into nested option objects, creating them as needed
+    let target = options;
+    for (let i = 0; i < path.length - 1; i++) {
+      target[path[i]] = { ...(target[path[i]] || {}) };
+      target = target[path[i]];
+    }
+    target[path[path.length - 1]] = value;
+  }
+
+  return options;
+}
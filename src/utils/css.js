@@ -1,4 +1,5 @@
 import { formatPoint } from "./units.js";
+import { generateCurvedPath } from "../math/curve.js";
 
 /**
  * Generate a CSS clip-path polygon string from points
@@ -11,6 +12,72 @@ export function generateClipPath(points, unit = "%") {
     return `polygon(${pointStrings.join(", ")})`;
 }
 
+/**
+ * Generate a CSS clip-path path() string with curved edges
+ * path() only supports px coordinates
+ * @param {Array<{x: number, y: number}>} points - Array of polygon points in px
+ * @returns {string} - CSS clip-path value
+ */
+export function generateCurvedClipPath(points) {
+    return `path("${generateCurvedPath(points)}")`;
+}
+
+/**
+ * Generate curved path data in objectBoundingBox units (0-1) from % points
+ * @param {Array<{x: number, y: number}>} points - Array of polygon points in %
+ * @returns {string} - SVG path data
+ */
+export function generateBoundingBoxPath(points) {
+    return generateCurvedPath(points, { scale: 0.01, precision: 4 });
+}
+
+/**
+ * Generate inline SVG markup defining a clipPath, for use with `clip-path: url(#id)`
+ * @param {string} id - clipPath element id
+ * @param {string} pathData - Path data in objectBoundingBox units
+ * @returns {string} - SVG markup
+ */
+export function generateSvgClipPath(id, pathData) {
+    return `<svg width="0" height="0" style="position:absolute" aria-hidden="true" focusable="false">` +
+        `<clipPath id="${id}" clipPathUnits="objectBoundingBox"><path d="${pathData}"/></clipPath></svg>`;
+}
+
+/**
+ * Parse a CSS clip-path polygon string back into points
+ * @param {string} clipPath - CSS clip-path value
+ * @returns {{points: Array<{x: number, y: number}>, unit: string}|null} - Points and unit, or null if
+ *   the value is not a polygon using a single unit
+ */
+export function parseClipPath(clipPath) {
+    const match = /^\s*polygon\((.*)\)\s*$/.exec(clipPath || "");
+    if (!match) return null;
+
+    let unit = null;
+    const points = [];
+
+    for (const pair of match[1].split(",")) {
+        const coords = pair.trim().split(/\s+/);
+        if (coords.length !== 2) return null;
+
+        const parsed = coords.map(value => /^(-?[\d.]+)(px|%)?$/.exec(value));
+        if (!parsed[0] || !parsed[1]) return null;
+
+        for (const [, number, valueUnit] of parsed) {
+            if (!valueUnit) {
+                // Unitless values are only valid for 0
+                if (parseFloat(number) !== 0) return null;
+                continue;
+            }
+            if (unit && valueUnit !== unit) return null;
+            unit = valueUnit;
+        }
+
+        points.push({ x: parseFloat(parsed[0][1]), y: parseFloat(parsed[1][1]) });
+    }
+
+    return points.length >= 3 && unit ? { points, unit } : null;
+}
+
 /**
  * Default shadow options (used when shadow is enabled without specifics)
  */
@@ -23,7 +90,8 @@ export const defaultShadowOptions = {
 
 /**
  * Generate a CSS drop-shadow filter string
- * @param {object|false|null} shadowOptions - Shadow configuration
+ * Inset and hard offset layers can't be expressed as drop-shadow() and are skipped
+ * @param {object|Array<object>|false|null} shadowOptions - Shadow configuration (single layer or array)
  * @returns {string|null} - CSS filter string or null if disabled
  */
 export function generateDropShadow(shadowOptions) {
@@ -32,15 +100,24 @@ export function generateDropShadow(shadowOptions) {
         return null;
     }
 
-    // Merge with defaults
-    const {
-        x = defaultShadowOptions.x,
-        y = defaultShadowOptions.y,
-        blur = defaultShadowOptions.blur,
-        color = defaultShadowOptions.color,
-    } = shadowOptions;
+    const layers = (Array.isArray(shadowOptions) ? shadowOptions : [shadowOptions])
+        .filter(layer => layer && !layer.inset && !layer.hard);
 
-    return `drop-shadow(${x}px ${y}px ${blur}px ${color})`;
+    if (layers.length === 0) {
+        return null;
+    }
+
+    return layers.map(layer => {
+        // Merge with defaults
+        const {
+            x = defaultShadowOptions.x,
+            y = defaultShadowOptions.y,
+            blur = defaultShadowOptions.blur,
+            color = defaultShadowOptions.color,
+        } = layer;
+
+        return `drop-shadow(${x}px ${y}px ${blur}px ${color})`;
+    }).join(" ");
 }
 
 /**
@@ -61,3 +138,23 @@ export function combineFilters(existingFilter, dropShadow) {
     // Append drop-shadow to existing filters
     return `${existingFilter} ${dropShadow}`;
 }
+
+/**
+ * Parse curved path data from generateCurvedPath() back into the points it runs through
+ * @param {string} pathData - SVG path data ('M x y C c1, c2, end ... Z')
+ * @param {number} [scale] - Factor from path coordinates to point units (100 for objectBoundingBox paths of % shapes)
+ * @returns {Array<{x: number, y: number}>|null} - Points, or null if the path has another structure
+ */
+export function parseCurvedPath(pathData, scale = 1) {
+    const match = /^\s*M\s*(.*?)\s*Z\s*$/i.exec(pathData || "");
+    if (!match) return null;
+
+    const [start, ...segments] = match[1].split(/\s*C\s*/i);
+    const pairs = [start, ...segments].map(text => text.split(/[\s,]+/).map(Number));
+    if (segments.length < 3 || pairs[0].length !== 2 || pairs.slice(1).some(values => values.length !== 6)) return null;
+    if (pairs.some(values => values.some(value => !Number.isFinite(value)))) return null;
+
+    // Each segment ends on the next point; the last one closes the path at the first point
+    const points = [pairs[0], ...pairs.slice(1, -1).map(values => values.slice(4))];
+    return points.map(([x, y]) => ({ x: x * scale, y: y * scale }));
+}
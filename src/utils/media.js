@@ -0,0 +1,22 @@
+/**
+ * Listen for a media query starting or stopping to match
+ * @param {string} query - Media query, e.g. '(prefers-reduced-motion: reduce)'
+ * @param {function(boolean)} callback - Called with whether the query matches now
+ * @returns {function} - Cleanup function to stop listening
+ */
+export function onMediaChange(query, callback) {
+  if (typeof window === "undefined" || !window.matchMedia) {
+    return () => {};
+  }
+
+  const list = window.matchMedia(query);
+  const handleChange = () => callback(list.matches);
+
+  // Older Safari only supports addListener/removeListener
+  if (list.addEventListener) {
+    list.addEventListener("change", handleChange);
+    return () => list.removeEventListener("change", handleChange);
+  }
+  list.addListener(handleChange);
+  return () => list.removeListener(handleChange);
+}
@@ -0,0 +1,35 @@
+import { onMediaChange } from "./media.js";
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+// Singleton media query list and its subscribers
+let reducedMotionQuery = null;
+const reducedMotionCallbacks = new Set(); // Set<Callback>
+
+function getReducedMotionQuery() {
+  if (!reducedMotionQuery && typeof window !== "undefined" && window.matchMedia) {
+    reducedMotionQuery = window.matchMedia(REDUCED_MOTION_QUERY);
+    onMediaChange(REDUCED_MOTION_QUERY, (matches) => reducedMotionCallbacks.forEach((callback) => callback(matches)));
+  }
+  return reducedMotionQuery;
+}
+
+/**
+ * Whether the user asked the system to minimize motion
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+  const query = getReducedMotionQuery();
+  return !!(query && query.matches);
+}
+
+/**
+ * Get notified when the reduced motion preference changes
+ * @param {function(boolean)} callback - Called with whether motion should be reduced
+ * @returns {function} - Cleanup function to stop listening
+ */
+export function onReducedMotionChange(callback) {
+  getReducedMotionQuery();
+  reducedMotionCallbacks.add(callback);
+  return () => reducedMotionCallbacks.delete(callback);
+}
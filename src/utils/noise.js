@@ -0,0 +1,117 @@
+import { createRNG } from "./random.js";
+
+/**
+ * Smoothstep-like fade curve for Perlin noise (6t^5 - 15t^4 + 10t^3)
+ * @param {number} t
+ * @returns {number}
+ */
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+/**
+ * Dot product of (x, y) with one of 8 gradient directions picked by hash
+ * @param {number} hash
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function grad(hash, x, y) {
+  switch (hash & 7) {
+    case 0: return x + y;
+    case 1: return -x + y;
+    case 2: return x - y;
+    case 3: return -x - y;
+    case 4: return x;
+    case 5: return -x;
+    case 6: return y;
+    default: return -y;
+  }
+}
+
+/**
+ * Create a seeded 2D Perlin noise function
+ * @param {number} seed - The seed value
+ * @returns {function(number, number): number} - Noise function returning values in [-1, 1]
+ */
+export function createNoise(seed) {
+  const rng = createRNG(seed);
+
+  // Shuffled permutation table, doubled to avoid index wrapping
+  const p = Array.from({ length: 256 }, (_, i) => i);
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [p[i], p[j]] = [p[j], p[i]];
+  }
+  const perm = new Uint8Array(512);
+  for (let i = 0; i < 512; i++) {
+    perm[i] = p[i & 255];
+  }
+
+  return function noise(x, y) {
+    const X = Math.floor(x) & 255;
+    const Y = Math.floor(y) & 255;
+    const xf = x - Math.floor(x);
+    const yf = y - Math.floor(y);
+    const u = fade(xf);
+    const v = fade(yf);
+
+    const aa = perm[perm[X] + Y];
+    const ab = perm[perm[X] + Y + 1];
+    const ba = perm[perm[X + 1] + Y];
+    const bb = perm[perm[X + 1] + Y + 1];
+
+    const top = lerp(grad(aa, xf, yf), grad(ba, xf - 1, yf), u);
+    const bottom = lerp(grad(ab, xf, yf - 1), grad(bb, xf - 1, yf - 1), u);
+
+    return Math.max(-1, Math.min(1, lerp(top, bottom, v)));
+  };
+}
+
+/**
+ * Fold a value back into 0-1 by reflecting at the bounds
+ * Keeps drifting values continuous instead of wrapping or sticking
+ * @param {number} value
+ * @returns {number}
+ */
+function reflect(value) {
+  const folded = ((value % 2) + 2) % 2;
+  return Math.min(folded > 1 ? 2 - folded : folded, 1 - Number.EPSILON);
+}
+
+/**
+ * Create a random number generator whose draws drift smoothly over time
+ * The n-th draw is the n-th value of the seeded generator, offset by noise
+ * sampled at (time, n), so the same seed and time always yield the same sequence.
+ * @param {number} seed - The seed value
+ * @param {number} time - Time in milliseconds
+ * @param {object} [options]
+ * @param {number} [options.speed=0.5] - Noise cycles per second
+ * @param {number} [options.amplitude=0.5] - Maximum drift of each draw (0-1)
+ * @param {function} [options.noise] - Prebuilt noise function from createNoise(seed)
+ * @returns {function} - Generator with a `fixed` variant for draws that must not drift
+ */
+export function createDriftRNG(seed, time, options = {}) {
+  const { speed = 0.5, amplitude = 0.5, noise = createNoise(seed) } = options;
+  const base = createRNG(seed);
+  const x = (time / 1000) * speed;
+  let index = 0;
+
+  const rng = function () {
+    // Offset each channel in time so vertices don't all pass their rest position together
+    const drift = amplitude * noise(x + index * 0.618, index);
+    index++;
+    return reflect(base() + drift);
+  };
+
+  rng.fixed = function () {
+    index++;
+    return base();
+  };
+
+  return rng;
+}
@@ -0,0 +1,86 @@
+import { scheduler } from "../anim/Scheduler.js";
+import { onScroll } from "./visibility.js";
+
+// Elements following the pointer, with their last measured rect
+const trackers = new Map(); // Map<Element, { callback, rect }>
+
+// Key for the shared rect refresh in the frame scheduler
+const refreshTask = {
+  read: () => {
+    trackers.forEach((tracker, element) => {
+      tracker.rect = element.getBoundingClientRect();
+    });
+  },
+};
+
+function refreshRects() {
+  scheduler.schedule(refreshTask, refreshTask);
+}
+
+function handlePointerMove(event) {
+  trackers.forEach((tracker) => {
+    const { rect } = tracker;
+    if (!rect) return;
+    tracker.callback({ x: event.clientX - rect.left, y: event.clientY - rect.top, rect });
+  });
+}
+
+function handlePointerOut(event) {
+  // Pointer left the window
+  if (!event.relatedTarget) {
+    trackers.forEach((tracker) => tracker.callback(null));
+  }
+}
+
+let stopScroll = null;
+
+function listen() {
+  window.addEventListener("pointermove", handlePointerMove, { passive: true });
+  window.addEventListener("pointerout", handlePointerOut);
+  window.addEventListener("resize", refreshRects);
+  stopScroll = onScroll(refreshRects);
+}
+
+function unlisten() {
+  window.removeEventListener("pointermove", handlePointerMove);
+  window.removeEventListener("pointerout", handlePointerOut);
+  window.removeEventListener("resize", refreshRects);
+  stopScroll();
+  stopScroll = null;
+  scheduler.cancel(refreshTask);
+}
+
+/**
+ * Follow the pointer relative to an element
+ * All elements share one set of window listeners. Element rects are cached and re-read in
+ * the frame scheduler after scrolling, resizing and refreshPointerRects(), so pointer moves
+ * never read layout.
+ * @param {Element} element - Element to track the pointer for
+ * @param {function(object|null)} callback - Called on pointer moves with { x, y, rect }, the position
+ *   relative to the element's top left corner and its rect, or with null when the pointer leaves the window
+ * @returns {function} - Cleanup function to stop tracking
+ */
+export function trackPointer(element, callback) {
+  if (trackers.size === 0) {
+    listen();
+  }
+
+  trackers.set(element, { callback, rect: null });
+  refreshRects();
+
+  return () => {
+    if (!trackers.delete(element)) return;
+    if (trackers.size === 0) {
+      unlisten();
+    }
+  };
+}
+
+/**
+ * Re-read the cached rects of tracked elements in the next frame, e.g. after a layout change
+ */
+export function refreshPointerRects() {
+  if (trackers.size > 0) {
+    refreshRects();
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Registered presets by name
+ * Preset values use '%' units like the defaults.
+ */
+const presets = new Map([
+  [
+    // Clean top, densely torn bottom edge
+    "torn-paper",
+    {
+      corners: { x: 1, y: 1, bottomLeft: { x: 1, y: 3 }, bottomRight: { x: 1, y: 3 } },
+      edges: { points: 0, bottom: { profile: "torn", frequency: 5, amplitude: 2.5 } },
+    },
+  ],
+  [
+    // Perforated edges all around
+    "stamp",
+    {
+      corners: { x: 0.5, y: 0.5 },
+      edges: { profile: "scallop", frequency: 12, amplitude: -1 },
+    },
+  ],
+  [
+    // Soft, uneven ink outline
+    "brushstroke",
+    {
+      corners: { x: 6, y: 8 },
+      edges: { points: 4, edgeWobble: 4, distribution: "random" },
+      edgeStyle: "curved",
+    },
+  ],
+  [
+    // Notched corners
+    "ticket",
+    {
+      corners: { x: 1, y: 1 },
+      edges: { points: 0 },
+      modifiers: [{ name: "notch", size: 6 }],
+    },
+  ],
+  [
+    // Slightly skewed with one peeled corner
+    "sticker",
+    {
+      corners: { x: 6, y: 4, independent: false },
+      edges: { points: 0 },
+      cutCorners: 1,
+      cornerChamfer: 0.4,
+    },
+  ],
+]);
+
+/**
+ * Register a preset, or replace an existing one
+ * @param {string} name - Preset name, used as wabi(selector, name) or { preset: name }
+ * @param {object} options - Partial wabi options; may itself extend another preset via `preset`
+ */
+export function definePreset(name, options) {
+  if (typeof name !== "string" || !name) {
+    throw new TypeError("wabi.js: Preset name must be a non-empty string");
+  }
+
+  // Presets may extend each other, but never in a circle
+  for (let parent = options.preset; parent; parent = presets.get(parent)?.preset) {
+    if (parent === name) {
+      throw new Error(`wabi.js: Preset "${name}" cannot extend itself`);
+    }
+  }
+  presets.set(name, { ...options });
+}
+
+/**
+ * Get the options of a registered preset
+ * @param {string} name - Preset name
+ * @returns {object|null} - Partial options, or null (with a warning) for unknown names
+ */
+export function getPreset(name) {
+  if (!presets.has(name)) {
+    console.warn(`wabi.js: Unknown preset "${name}"`);
+    return null;
+  }
+  return presets.get(name);
+}
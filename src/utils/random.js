@@ -34,3 +34,63 @@ export function getRNG(seed) {
   }
   return createRNG(seed);
 }
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} str - String to hash
+ * @returns {number} - Hash value
+ */
+export function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Derive a stable seed from a base seed and a per-element key
+ * @param {number|null} baseSeed - Base seed (null is treated as 0)
+ * @param {string|number} key - Element-specific key
+ * @returns {number} - Derived seed
+ */
+export function deriveSeed(baseSeed, key) {
+  return hashString(`${baseSeed ?? 0}:${key}`);
+}
+
+/**
+ * Wrap a random number generator so its draws can be replayed later
+ * Draws of a drifting generator's `fixed` variant are recorded in the same sequence,
+ * so a plain replay returns every value in the order it was used.
+ * @param {function} rng - Random number generator to record
+ * @returns {function} - Recording generator; its `draws` array holds all values returned so far
+ */
+export function createRecordingRNG(rng) {
+  const draws = [];
+  const record = (source) => function () {
+    const value = source();
+    draws.push(value);
+    return value;
+  };
+
+  const recording = record(rng);
+  if (rng.fixed) {
+    recording.fixed = record(rng.fixed);
+  }
+  recording.draws = draws;
+  return recording;
+}
+
+/**
+ * Create a generator that returns previously recorded draws in order
+ * @param {number[]} draws - Recorded values
+ * @param {function} [fallback=Math.random] - Generator used once the recording runs out
+ * @returns {function} - Replaying random number generator
+ */
+export function createReplayRNG(draws, fallback = Math.random) {
+  let index = 0;
+  return function () {
+    return index < draws.length ? draws[index++] : fallback();
+  };
+}
@@ -1,3 +1,5 @@
+import { scheduler } from "../anim/Scheduler.js";
+
 /**
  * Debounce a function
  * @param {function} fn - Function to debounce
@@ -35,14 +37,22 @@ function handleWindowResize() {
 
 /**
  * Set up a resize observer for an element
+ * Callbacks run in the shared frame scheduler: all reads of a frame before its writes.
  * @param {Element} element - Element to observe
- * @param {function} callback - Callback to run on resize
+ * @param {function|object} handler - Callback to run on resize (run as a write), or { read, write }
  * @param {object} options - Options object
  * @param {boolean} options.bypassDebounceOnce - Bypass debounce for the first resize event
  * @returns {function} - Cleanup function to stop observing
  */
-export function setupResizeObserver(element, callback, options = {}) {
+export function setupResizeObserver(element, handler, options = {}) {
   const { bypassDebounceOnce = false } = options;
+  const { read, write } = typeof handler === "function" ? { write: handler } : handler;
+  const callback = (entry) => {
+    scheduler.schedule(handler, {
+      read: read && (() => read(entry)),
+      write: write && (() => write(entry)),
+    });
+  };
 
   // Modern approach: ResizeObserver
   if (typeof ResizeObserver !== "undefined") {
@@ -72,6 +82,7 @@ export function setupResizeObserver(element, callback, options = {}) {
     return () => {
       sharedResizeObserver.unobserve(element);
       resizeCallbacks.delete(element);
+      scheduler.cancel(handler);
     };
   }
 
@@ -102,6 +113,7 @@ export function setupResizeObserver(element, callback, options = {}) {
 
   return () => {
     windowResizeCallbacks.delete(conditionalFallbackCallback);
+    scheduler.cancel(handler);
     // Optional: remove window listener if set is empty, but maybe not strictly necessary for this scope
     if (windowResizeCallbacks.size === 0 && sharedWindowHandler) {
       window.removeEventListener("resize", sharedWindowHandler);
@@ -0,0 +1,73 @@
+import { overrideOptions } from "../math/polygon.js";
+
+/**
+ * Element-width conditions: "<600", "<=600px", ">= 400", ">400px"
+ */
+const WIDTH_CONDITION = /^\s*(<=?|>=?)\s*(\d+(?:\.\d+)?)(?:px)?\s*$/;
+
+/**
+ * Parse a responsive key as an element-width condition
+ * @param {string} key - Key of the responsive option
+ * @returns {{operator: string, width: number}|null} - null for media queries
+ */
+export function parseWidthCondition(key) {
+  const match = WIDTH_CONDITION.exec(key);
+  return match ? { operator: match[1], width: parseFloat(match[2]) } : null;
+}
+
+/**
+ * Check an element width against a width condition
+ * @param {{operator: string, width: number}} condition
+ * @param {number} elementWidth - Element width in px
+ * @returns {boolean}
+ */
+function matchesWidth({ operator, width }, elementWidth) {
+  switch (operator) {
+    case "<":
+      return elementWidth < width;
+    case "<=":
+      return elementWidth <= width;
+    case ">":
+      return elementWidth > width;
+    default:
+      return elementWidth >= width;
+  }
+}
+
+/**
+ * Get the keys of the responsive option that currently apply
+ * @param {object|null} responsive - Map of media queries / width conditions to partial options
+ * @param {object} context
+ * @param {number} context.width - Element width in px
+ * @param {function} [context.matchMedia] - Media query matcher; media queries never match without it
+ * @returns {Array<string>} - Matching keys in declaration order
+ */
+export function getActiveBreakpoints(responsive, context) {
+  if (!responsive) {
+    return [];
+  }
+
+  const { width, matchMedia } = context;
+
+  return Object.keys(responsive).filter((key) => {
+    const condition = parseWidthCondition(key);
+    if (condition) {
+      return matchesWidth(condition, width);
+    }
+    return matchMedia ? matchMedia(key).matches : false;
+  });
+}
+
+/**
+ * Apply the partial options of the active breakpoints
+ * Later keys win over earlier ones, like rules in a stylesheet.
+ * @param {object} options - Merged options including `responsive`
+ * @param {Array<string>} breakpoints - Active keys from getActiveBreakpoints
+ * @returns {object} - Effective options
+ */
+export function resolveResponsiveOptions(options, breakpoints) {
+  return breakpoints.reduce(
+    (resolved, key) => overrideOptions(resolved, { ...options.responsive[key], responsive: options.responsive }),
+    options
+  );
+}
@@ -0,0 +1,74 @@
+import { deriveSeed } from "./random.js";
+
+/**
+ * Derive the seed for a single element from its identifying data
+ *
+ * Strategies:
+ * - 'shared': every element uses the base seed as-is
+ * - 'index': base seed combined with the element's position in the selection
+ * - 'id': base seed combined with the element's id (falls back to index)
+ * - 'content-hash': base seed combined with the element's text content
+ *
+ * With any strategy other than 'shared', a data-wabi-seed attribute on the
+ * element takes precedence as the per-element key. Without a base seed or
+ * such an attribute, elements stay unseeded.
+ *
+ * Pure function so server-side rendering can reproduce browser seeds.
+ *
+ * @param {object} options - Merged options (seed, seedStrategy)
+ * @param {object} [target] - Element data
+ * @param {number} [target.index=0] - Element index within its selection
+ * @param {string} [target.id] - Element id
+ * @param {string} [target.text] - Element text content
+ * @param {string} [target.seedAttribute] - Value of the element's data-wabi-seed attribute
+ * @returns {number|null} - Seed for the element (null for Math.random)
+ */
+export function deriveElementSeed(options, target = {}) {
+  const { seed = null, seedStrategy = "shared" } = options;
+  const { index = 0, id = "", text = "", seedAttribute = null } = target;
+
+  if (seedStrategy === "shared") {
+    return seed;
+  }
+
+  if (seedAttribute !== null && seedAttribute !== "") {
+    return deriveSeed(seed, `attr:${seedAttribute}`);
+  }
+
+  // Without a base seed there is nothing to derive from: stay random, so update() re-rolls
+  if (seed === null) {
+    return null;
+  }
+
+  switch (seedStrategy) {
+    case "id":
+      return id ? deriveSeed(seed, `id:${id}`) : deriveSeed(seed, `index:${index}`);
+
+    case "content-hash":
+      return deriveSeed(seed, `text:${text.trim()}`);
+
+    case "index":
+    default:
+      return deriveSeed(seed, `index:${index}`);
+  }
+}
+
+/**
+ * Resolve the seed used for a DOM element
+ * @param {Element} element - Target element
+ * @param {number} index - Element index within its selection
+ * @param {object} options - Merged options (seed, seedStrategy)
+ * @returns {number|null} - Seed for the element (null for Math.random)
+ */
+export function resolveSeed(element, index, options) {
+  if ((options.seedStrategy || "shared") === "shared") {
+    return options.seed ?? null;
+  }
+
+  return deriveElementSeed(options, {
+    index,
+    id: element.id,
+    text: element.textContent || "",
+    seedAttribute: element.getAttribute("data-wabi-seed"),
+  });
+}
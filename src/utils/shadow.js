@@ -0,0 +1,160 @@
+import { generateCurvedPath, generateStraightPath } from "../math/curve.js";
+import { defaultShadowOptions } from "./css.js";
+import { escapeAttribute } from "./stroke.js";
+import { randomInRange } from "./random.js";
+
+/**
+ * Default jitter (px) of hard offset shadow layers
+ */
+export const defaultHardJitter = 2;
+
+/**
+ * Normalize the shadow option into a list of layers with defaults applied
+ * @param {object|Array<object>|false|null} shadowOptions - Single layer or array of layers
+ * @returns {Array<object>} - Layers ({ x, y, blur, color, inset, hard, jitter, seed })
+ */
+export function normalizeShadowLayers(shadowOptions) {
+  if (!shadowOptions) {
+    return [];
+  }
+
+  const layers = Array.isArray(shadowOptions) ? shadowOptions : [shadowOptions];
+
+  return layers.filter(Boolean).map((layer) => ({
+    ...defaultShadowOptions,
+    // Hard offset shadows are crisp unless a blur is given
+    ...(layer.hard ? { blur: 0 } : {}),
+    inset: false,
+    hard: false,
+    jitter: defaultHardJitter,
+    seed: null,
+    ...layer,
+  }));
+}
+
+/**
+ * Get the shadow backend mode
+ * For arrays the mode is read from the first layer that sets one
+ * @param {object|Array<object>|false|null} shadowOptions
+ * @returns {string} - 'wrapper' | 'underlay' | 'svg-filter'
+ */
+export function getShadowMode(shadowOptions) {
+  const layers = Array.isArray(shadowOptions) ? shadowOptions : [shadowOptions];
+  const withMode = layers.find((layer) => layer && layer.mode);
+  return withMode ? withMode.mode : "wrapper";
+}
+
+/**
+ * Copy a polygon with every point moved randomly, for hard offset shadows
+ * @param {Array<{x: number, y: number}>} points - Polygon points in px
+ * @param {number} jitter - Max displacement in px
+ * @param {function} rng - Random number generator
+ * @returns {Array<{x: number, y: number}>}
+ */
+export function jitterPolygon(points, jitter, rng) {
+  if (!jitter) {
+    return points;
+  }
+
+  return points.map((p) => ({
+    x: p.x + randomInRange(rng, -jitter, jitter),
+    y: p.y + randomInRange(rng, -jitter, jitter),
+  }));
+}
+
+/**
+ * Space needed around the element so no shadow layer is cut off
+ * @param {Array<object>} layers - Shadow layers ({ x, y, blur, jitter })
+ * @returns {number} - Margin in px
+ */
+export function getShadowMargin(layers) {
+  return layers.reduce((margin, layer) => {
+    const reach = layer.blur * 1.5 + Math.max(Math.abs(layer.x), Math.abs(layer.y)) + (layer.hard ? layer.jitter : 0);
+    return Math.max(margin, Math.ceil(reach));
+  }, 0);
+}
+
+/**
+ * Build SVG filter definitions and their ids for the blur of each layer
+ * drop-shadow() blur radius corresponds to twice the Gaussian standard deviation
+ * @param {Array<object>} layers
+ * @param {object} region - Filter region { x, y, width, height }
+ * @returns {{defs: string, ids: Array<string|null>}}
+ */
+function blurFilters(layers, region) {
+  const ids = [];
+  const defs = [];
+
+  layers.forEach((layer, index) => {
+    if (!layer.blur) {
+      ids.push(null);
+      return;
+    }
+    ids.push(`b${index}`);
+    defs.push(
+      `<filter id="b${index}" filterUnits="userSpaceOnUse" x="${region.x}" y="${region.y}" ` +
+      `width="${region.width}" height="${region.height}"><feGaussianBlur stdDeviation="${layer.blur / 2}"/></filter>`
+    );
+  });
+
+  return { defs: defs.join(""), ids };
+}
+
+/**
+ * Generate SVG markup of blurred, offset polygons behind an element
+ * The SVG covers the element plus getShadowMargin(layers) on every side.
+ * @param {Array<object>} layers - Layers with `points` (px) plus { x, y, blur, color }
+ * @param {number} width - Element width in px
+ * @param {number} height - Element height in px
+ * @param {object} [renderOptions]
+ * @param {boolean} [renderOptions.curved] - Trace the outline with curves (edgeStyle 'curved')
+ * @returns {string} - SVG markup
+ */
+export function generateShadowSvg(layers, width, height, renderOptions = {}) {
+  const { curved = false } = renderOptions;
+
+  const margin = getShadowMargin(layers);
+  const region = { x: -margin, y: -margin, width: width + margin * 2, height: height + margin * 2 };
+  const { defs, ids } = blurFilters(layers, region);
+
+  const paths = layers.map((layer, index) => {
+    const d = curved ? generateCurvedPath(layer.points) : generateStraightPath(layer.points);
+    const filter = ids[index] ? ` filter="url(#${ids[index]})"` : "";
+    return `<path d="${d}" fill="${escapeAttribute(layer.color)}" transform="translate(${layer.x} ${layer.y})"${filter}/>`;
+  });
+
+  // As with CSS box-shadow, the first layer is painted on top
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${region.width}" height="${region.height}" ` +
+    `viewBox="${region.x} ${region.y} ${region.width} ${region.height}">${defs}${paths.reverse().join("")}</svg>`;
+}
+
+/**
+ * Generate SVG markup for inset shadows inside a polygon
+ * Each layer is a blurred frame around a polygon-shaped hole; the element's
+ * own clip-path cuts away everything outside the polygon.
+ * @param {Array<{x: number, y: number}>} points - Polygon points in px
+ * @param {number} width - Element width in px
+ * @param {number} height - Element height in px
+ * @param {Array<object>} layers - Inset layers ({ x, y, blur, color })
+ * @param {object} [renderOptions]
+ * @param {boolean} [renderOptions.curved] - Trace the outline with curves (edgeStyle 'curved')
+ * @returns {string} - SVG markup
+ */
+export function generateInsetShadowSvg(points, width, height, layers, renderOptions = {}) {
+  const { curved = false } = renderOptions;
+
+  const margin = getShadowMargin(layers) + 1;
+  const region = { x: -margin, y: -margin, width: width + margin * 2, height: height + margin * 2 };
+  const { defs, ids } = blurFilters(layers, region);
+  const hole = curved ? generateCurvedPath(points) : generateStraightPath(points);
+  const frame = `M ${region.x} ${region.y} H ${width + margin} V ${height + margin} H ${region.x} Z`;
+
+  const paths = layers.map((layer, index) => {
+    const filter = ids[index] ? ` filter="url(#${ids[index]})"` : "";
+    return `<path d="${frame} ${hole}" fill-rule="evenodd" fill="${escapeAttribute(layer.color)}" ` +
+      `transform="translate(${layer.x} ${layer.y})"${filter}/>`;
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+    `viewBox="0 0 ${width} ${height}">${defs}${paths.reverse().join("")}</svg>`;
+}
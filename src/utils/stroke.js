@@ -0,0 +1,76 @@
+import { generateCurvedPath, generateStraightPath } from "../math/curve.js";
+import { randomInRange } from "./random.js";
+
+/**
+ * Default stroke options (used when stroke is enabled without specifics)
+ */
+export const defaultStrokeOptions = {
+  width: 2,
+  color: null, // null uses the element's text color
+  dash: null,
+  roughness: 0,
+  passes: 1,
+};
+
+/**
+ * Escape a value for use inside an XML attribute
+ * @param {string} value
+ * @returns {string}
+ */
+export function escapeAttribute(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+}
+
+/**
+ * Generate SVG markup tracing a polygon with a (optionally rough) stroke
+ * The stroke is centered on the outline, so half of it is hidden by the clip-path;
+ * it is drawn at twice the requested width to keep the visible part at `width`.
+ * @param {Array<{x: number, y: number}>} points - Polygon points in px
+ * @param {number} width - Element width in px
+ * @param {number} height - Element height in px
+ * @param {object} strokeOptions - { width, color, dash, roughness, passes }
+ * @param {object} [renderOptions]
+ * @param {function} [renderOptions.rng] - Random number generator for roughness jitter
+ * @param {boolean} [renderOptions.curved] - Trace the outline with curves (edgeStyle 'curved')
+ * @returns {string} - SVG markup
+ */
+export function generateStrokeSvg(points, width, height, strokeOptions, renderOptions = {}) {
+  const {
+    width: strokeWidth = defaultStrokeOptions.width,
+    color = "#000",
+    dash = defaultStrokeOptions.dash,
+    roughness = defaultStrokeOptions.roughness,
+    passes = defaultStrokeOptions.passes,
+  } = strokeOptions;
+  const { rng = Math.random, curved = false } = renderOptions;
+
+  const dashArray = Array.isArray(dash) ? dash.join(" ") : dash;
+  const paths = [];
+
+  for (let pass = 0; pass < Math.max(1, passes); pass++) {
+    // Each pass gets its own jitter, like a pencil going over the outline again
+    const jittered = roughness > 0
+      ? points.map((p) => ({
+          x: p.x + randomInRange(rng, -roughness, roughness),
+          y: p.y + randomInRange(rng, -roughness, roughness),
+        }))
+      : points;
+
+    const d = curved ? generateCurvedPath(jittered) : generateStraightPath(jittered);
+    paths.push(`<path d="${d}"/>`);
+  }
+
+  const attributes = [
+    `fill="none"`,
+    `stroke="${escapeAttribute(color)}"`,
+    `stroke-width="${strokeWidth * 2}"`,
+    `stroke-linejoin="round"`,
+    `stroke-linecap="round"`,
+  ];
+  if (dashArray) {
+    attributes.push(`stroke-dasharray="${escapeAttribute(dashArray)}"`);
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+    `<g ${attributes.join(" ")}>${paths.join("")}</g></svg>`;
+}
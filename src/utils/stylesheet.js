@@ -0,0 +1,163 @@
+import { mergeOptions, generateUnitPolygon } from "../math/polygon.js";
+import { matchPolygons } from "../math/morph.js";
+import { generateClipPath } from "./css.js";
+import { deriveElementSeed } from "./seed.js";
+
+/**
+ * Default keyframe animation options
+ */
+export const defaultKeyframeOptions = {
+    duration: 4000,
+    easing: "ease-in-out",
+};
+
+/**
+ * Turn a selector into a string usable as a keyframes name
+ * @param {string} selector
+ * @returns {string}
+ */
+function toIdentifier(selector) {
+    const name = selector.replace(/[^a-zA-Z0-9_-]+/g, "-").replace(/^-+|-+$/g, "");
+    return `wabi-${name || "shape"}`;
+}
+
+/**
+ * Split a selector list on its top-level commas
+ * Commas inside parentheses, brackets or quotes, as in `:is(.a, .b)`, belong to a single selector.
+ * @param {string} selector - Selector list, e.g. '.card, .tile'
+ * @returns {string[]} - Trimmed selectors
+ */
+function splitSelectorList(selector) {
+    const selectors = [];
+    let depth = 0;
+    let quote = null;
+    let current = "";
+
+    for (let i = 0; i < selector.length; i++) {
+        const char = selector[i];
+
+        if (quote) {
+            if (char === "\\") {
+                current += char + (selector[++i] ?? "");
+                continue;
+            }
+            if (char === quote) quote = null;
+        } else if (char === "\"" || char === "'") {
+            quote = char;
+        } else if (char === "(" || char === "[") {
+            depth++;
+        } else if (char === ")" || char === "]") {
+            depth--;
+        } else if (char === "," && depth === 0) {
+            selectors.push(current.trim());
+            current = "";
+            continue;
+        }
+        current += char;
+    }
+
+    selectors.push(current.trim());
+    return selectors.filter(Boolean);
+}
+
+/**
+ * Append a compound selector (like a class) to every selector of a list
+ * @param {string} selector - Selector list
+ * @param {string} suffix - e.g. '.wabi-v1'
+ * @returns {string}
+ */
+function appendToSelector(selector, suffix) {
+    return splitSelectorList(selector).map(part => `${part}${suffix}`).join(", ");
+}
+
+/**
+ * Generate variant polygons for one rule
+ * Variant n uses the seed an element at index n - 1 gets with seedStrategy 'index'
+ * @param {object} rule - Rule with wabi options plus variants, width and height
+ * @returns {Array<Array<{x: number, y: number}>>} - Polygons in %
+ */
+function generateVariantPolygons(rule) {
+    const { variants = 1, width = 1, height = 1 } = rule;
+    if (!Number.isInteger(variants) || variants < 1) {
+        throw new Error(`wabi.js: variants must be a whole number of at least 1, got ${variants}`);
+    }
+    if (!(width > 0 && height > 0 && Number.isFinite(width) && Number.isFinite(height))) {
+        throw new Error(`wabi.js: width and height must be positive numbers, got ${width} and ${height}`);
+    }
+
+    // Unseeded rules still need reproducible builds, so they derive from seed 0
+    const merged = mergeOptions(rule);
+    const options = { ...merged, seed: merged.seed ?? 0, units: "%", seedStrategy: "index" };
+
+    const polygons = [];
+    for (let index = 0; index < variants; index++) {
+        const seed = deriveElementSeed(options, { index });
+        polygons.push(generateUnitPolygon(width, height, { ...options, seed }));
+    }
+    return polygons;
+}
+
+/**
+ * Generate variant clip-paths for one rule (see generateVariantPolygons for their seeds)
+ * @param {object} rule - Rule with wabi options plus variants, width and height
+ * @returns {string[]} - CSS clip-path values
+ */
+export function generateVariants(rule) {
+    return generateVariantPolygons(rule).map(points => generateClipPath(points, "%"));
+}
+
+/**
+ * Generate a stylesheet with variant classes for each rule
+ *
+ * @example
+ * generateStylesheet([{ selector: '.card', variants: 3, seed: 7, corners: { x: 5, y: 4 } }]);
+ * // .card.wabi-v1 { clip-path: polygon(...); } ...
+ *
+ * @param {Array<object>} rules - Rules, each with wabi options plus:
+ * @param {string} rules[].selector - Selector the variant classes are appended to
+ * @param {number} [rules[].variants=1] - Number of variant classes
+ * @param {string} [rules[].className='wabi-v'] - Variant class prefix
+ * @param {number} [rules[].width] - Aspect ratio width of the target elements
+ * @param {number} [rules[].height] - Aspect ratio height of the target elements
+ * @param {boolean|object} [rules[].keyframes] - Also emit @keyframes cycling through the variants,
+ *   applied via `${selector}.wabi-animate`. true or { duration, easing }
+ * @returns {string} - CSS stylesheet
+ */
+export function generateStylesheet(rules) {
+    const blocks = [];
+
+    rules.forEach(rule => {
+        if (typeof rule.selector !== "string" || splitSelectorList(rule.selector).length === 0) {
+            throw new Error("wabi.js: Every stylesheet rule needs a selector");
+        }
+
+        const { selector, className = "wabi-v", keyframes = false } = rule;
+        const polygons = generateVariantPolygons(rule);
+
+        polygons.forEach((points, index) => {
+            blocks.push(`${appendToSelector(selector, `.${className}${index + 1}`)} {\n  clip-path: ${generateClipPath(points, "%")};\n}`);
+        });
+
+        if (keyframes && polygons.length > 1) {
+            const { duration, easing } = {
+                ...defaultKeyframeOptions,
+                ...(typeof keyframes === "object" ? keyframes : {}),
+            };
+            const name = toIdentifier(selector);
+
+            // polygon() only interpolates between equal point counts
+            const clipPaths = matchPolygons(...polygons).map(points => generateClipPath(points, "%"));
+
+            // Cycle through all variants and back to the first
+            const frames = [...clipPaths, clipPaths[0]].map((clipPath, index, all) => {
+                const percent = +((index / (all.length - 1)) * 100).toFixed(2);
+                return `  ${percent}% {\n    clip-path: ${clipPath};\n  }`;
+            });
+
+            blocks.push(`@keyframes ${name} {\n${frames.join("\n")}\n}`);
+            blocks.push(`${appendToSelector(selector, ".wabi-animate")} {\n  animation: ${name} ${duration}ms ${easing} infinite;\n}`);
+        }
+    });
+
+    return `${blocks.join("\n\n")}\n`;
+}
@@ -35,3 +35,57 @@ export function formatPoint(x, y, unit) {
   }
   return `${x.toFixed(2)}% ${y.toFixed(2)}%`;
 }
+
+/**
+ * CSS length: number with an optional unit
+ */
+const LENGTH_PATTERN = /^\s*(-?\d*\.?\d+)\s*(px|%|em|rem|vw|vh|vmin|vmax)?\s*$/i;
+
+/**
+ * Parse a CSS length string
+ * @param {string} value - Length like '4px', '2%', '0.3em' or '1vw'
+ * @returns {{value: number, unit: string|null}|null} - null if the string is not a length;
+ *   unit is null for plain numbers
+ */
+export function parseLength(value) {
+  const match = LENGTH_PATTERN.exec(value);
+  if (!match) {
+    return null;
+  }
+  return { value: parseFloat(match[1]), unit: match[2] ? match[2].toLowerCase() : null };
+}
+
+/**
+ * Convert a parsed CSS length to pixels
+ * @param {{value: number, unit: string}} length - Parsed length
+ * @param {number} reference - Size in px that '%' refers to
+ * @param {object} [context] - Sizes for relative units
+ * @param {number} [context.fontSize=16] - Element font size in px (em)
+ * @param {number} [context.rootFontSize=16] - Root font size in px (rem)
+ * @param {number} [context.viewportWidth=0] - Viewport width in px (vw)
+ * @param {number} [context.viewportHeight=0] - Viewport height in px (vh)
+ * @returns {number} - Length in px
+ */
+export function lengthToPixels(length, reference, context = {}) {
+  const { fontSize = 16, rootFontSize = 16, viewportWidth = 0, viewportHeight = 0 } = context;
+  const { value, unit } = length;
+
+  switch (unit) {
+    case "%":
+      return (value / 100) * reference;
+    case "em":
+      return value * fontSize;
+    case "rem":
+      return value * rootFontSize;
+    case "vw":
+      return (value / 100) * viewportWidth;
+    case "vh":
+      return (value / 100) * viewportHeight;
+    case "vmin":
+      return (value / 100) * Math.min(viewportWidth, viewportHeight);
+    case "vmax":
+      return (value / 100) * Math.max(viewportWidth, viewportHeight);
+    default:
+      return value;
+  }
+}
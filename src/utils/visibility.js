@@ -0,0 +1,66 @@
+// Singleton IntersectionObserver
+let sharedIntersectionObserver = null;
+const visibilityCallbacks = new WeakMap(); // Map<Element, Callback>
+
+function handleIntersectionEntries(entries) {
+  for (const entry of entries) {
+    const callback = visibilityCallbacks.get(entry.target);
+    if (callback) {
+      callback(entry.isIntersecting, entry);
+    }
+  }
+}
+
+/**
+ * Listen for scrolling of the page and of any scrolling container inside it
+ * Scroll events of containers don't bubble, so they are captured on the window.
+ * @param {function} callback - Called on every scroll event
+ * @returns {function} - Cleanup function to stop listening
+ */
+export function onScroll(callback) {
+  window.addEventListener("scroll", callback, { passive: true, capture: true });
+  return () => window.removeEventListener("scroll", callback, { capture: true });
+}
+
+/**
+ * Set up viewport visibility tracking for an element
+ * Without IntersectionObserver support the callback is never called, so
+ * callers should treat elements as visible by default.
+ * @param {Element} element - Element to observe
+ * @param {function(boolean, IntersectionObserverEntry)} callback - Called with whether the element is in the viewport
+ * @returns {function} - Cleanup function to stop observing
+ */
+export function setupVisibilityObserver(element, callback) {
+  if (typeof IntersectionObserver === "undefined") {
+    return () => {};
+  }
+
+  if (!sharedIntersectionObserver) {
+    sharedIntersectionObserver = new IntersectionObserver(handleIntersectionEntries);
+  }
+
+  visibilityCallbacks.set(element, callback);
+  sharedIntersectionObserver.observe(element);
+
+  return () => {
+    sharedIntersectionObserver.unobserve(element);
+    visibilityCallbacks.delete(element);
+  };
+}
+
+/**
+ * How far an element has scrolled through the viewport
+ * 0 when its top edge enters at the bottom, 1 when its bottom edge leaves at the top.
+ * @param {Element} element
+ * @returns {number} - Progress from 0 to 1
+ */
+export function getScrollProgress(element) {
+  const rect = element.getBoundingClientRect();
+  const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+  const distance = viewportHeight + rect.height;
+
+  if (distance <= 0) {
+    return 0;
+  }
+  return Math.max(0, Math.min(1, (viewportHeight - rect.top) / distance));
+}
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateShape } from "../src/core.js";
+import { generateBoundingBoxPath, parseCurvedPath } from "../src/utils/css.js";
+import { generateCurvedPath } from "../src/math/curve.js";
+
+function assertClose(actual, expected, tolerance) {
+  assert.equal(actual.length, expected.length);
+  actual.forEach((point, i) => {
+    assert.ok(Math.abs(point.x - expected[i].x) <= tolerance && Math.abs(point.y - expected[i].y) <= tolerance);
+  });
+}
+
+test("curved paths parse back into the points they run through", () => {
+  const { points } = generateShape({ edgeStyle: "curved", edges: { points: 2 }, seed: 3 }, { width: 300, height: 150 });
+  assertClose(parseCurvedPath(generateBoundingBoxPath(points), 100), points, 0.01);
+
+  const px = generateShape({ edgeStyle: "curved", units: "px", seed: 3 }, { width: 300, height: 150 });
+  assertClose(parseCurvedPath(generateCurvedPath(px.points)), px.points, 0.01);
+
+  assert.equal(parseCurvedPath("M 0 0 L 1 1 Z"), null);
+});
+
+test("server-rendered clip paths get their own id prefix", () => {
+  const { clipPath, svg } = generateShape({ edgeStyle: "curved", seed: 1 }, { width: 300, height: 150 });
+  assert.equal(clipPath, "url(#wabi-ssr-1)");
+  assert.match(svg, /id="wabi-ssr-1"/);
+});
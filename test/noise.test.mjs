@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createNoise, createDriftRNG } from "../src/utils/noise.js";
+import { generateUnitPolygon, mergeOptions } from "../src/math/polygon.js";
+
+const options = mergeOptions({ seed: 7, edges: { points: 3, edgeWobble: 4 }, cutCorners: 1 });
+
+function drift(seed, time) {
+  return generateUnitPolygon(200, 100, options, createDriftRNG(seed, time, { speed: 0.5, amplitude: 0.5 }));
+}
+
+function sample(noise) {
+  return Array.from({ length: 12 }, (_, i) => noise(i * 0.37, 1.5));
+}
+
+test("noise is deterministic for a seed", () => {
+  assert.deepEqual(sample(createNoise(42)), sample(createNoise(42)));
+  assert.notDeepEqual(sample(createNoise(42)), sample(createNoise(43)));
+});
+
+test("drifting shapes are deterministic for a seed and time", () => {
+  assert.deepEqual(drift(7, 1234), drift(7, 1234));
+  assert.notDeepEqual(drift(7, 1234), drift(7, 1800));
+  assert.notDeepEqual(drift(7, 1234), drift(8, 1234));
+});
@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateShape } from "../src/core.js";
+
+// Whether q is inside the polygon (or on its border)
+function contains(points, q) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[i];
+    const b = points[j];
+    const side = (b.x - a.x) * (q.y - a.y) - (b.y - a.y) * (q.x - a.x);
+    const onBorder = Math.abs(side) < 1e-6 && q.x >= Math.min(a.x, b.x) - 1e-6 && q.x <= Math.max(a.x, b.x) + 1e-6 &&
+      q.y >= Math.min(a.y, b.y) - 1e-6 && q.y <= Math.max(a.y, b.y) + 1e-6;
+    if (onBorder) return true;
+    if ((a.y > q.y) !== (b.y > q.y) && q.x < a.x + ((q.y - a.y) * (b.x - a.x)) / (b.y - a.y)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Points along the border of the safe rect
+function outline(left, top, right, bottom, steps = 20) {
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const x = left + ((right - left) * i) / steps;
+    const y = top + ((bottom - top) * i) / steps;
+    points.push({ x, y: top }, { x, y: bottom }, { x: left, y }, { x: right, y });
+  }
+  return points;
+}
+
+function assertSafe(options, width, height, inset) {
+  for (let seed = 1; seed <= 100; seed++) {
+    const { points } = generateShape({ ...options, units: "px", seed }, { width, height });
+    outline(inset, inset, width - inset, height - inset).forEach((q) => {
+      assert.ok(contains(points, q), `seed ${seed} clips the safe area at ${q.x}, ${q.y}`);
+    });
+  }
+}
+
+test("safe area survives chamfers between neighboring cut corners", () => {
+  assertSafe({ corners: { x: 0, y: 0 }, edges: { points: 0 }, cutCorners: 4, cornerChamfer: 0.5, safeArea: 20 }, 1000, 100, 20);
+});
+
+test("safe area survives displaced corners, edge points and full cuts", () => {
+  assertSafe({ corners: { x: 12, y: 10 }, edges: { points: 2, edgeWobble: 8 }, cutCorners: 3, safeArea: 12 }, 300, 150, 12);
+});
+
+test("safe area holds for small chamfers on all corners", () => {
+  assertSafe({ corners: { x: 1, y: 1 }, edges: { points: 0 }, cutCorners: 4, cornerChamfer: 0.12, safeArea: 8 }, 300, 150, 8);
+});
@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateShape } from "../src/core.js";
+
+test("ticket cuts a square notch into every corner", () => {
+  for (let seed = 1; seed <= 50; seed++) {
+    const { points } = generateShape({ preset: "ticket", units: "px", seed }, { width: 300, height: 150 });
+    assert.equal(points.length, 12);
+
+    // Each corner becomes: a point on the incoming edge, the notch's inner corner, a point on the outgoing edge
+    [[0, 0], [300, 0], [300, 150], [0, 150]].forEach(([x, y], corner) => {
+      const [start, inner, end] = points.slice(corner * 3, corner * 3 + 3);
+      const inward = { x: x === 0 ? 1 : -1, y: y === 0 ? 1 : -1 };
+
+      // The inner point sits well inside the corner, beyond both edge points
+      assert.ok((inner.x - x) * inward.x > 4 && (inner.y - y) * inward.y > 4, `seed ${seed} corner ${corner}`);
+      assert.ok(Math.hypot(inner.x - start.x, inner.y - start.y) > 4);
+      assert.ok(Math.hypot(inner.x - end.x, inner.y - end.y) > 4);
+    });
+  }
+});
+
+test("ticket notches scale with the element in % units", () => {
+  const { points } = generateShape({ preset: "ticket", seed: 1 }, { width: 300, height: 150 });
+  assert.equal(points.length, 12);
+  // 6 units of sqrt(300 * 150) = 100 are about 12.7px, or 4.2% of the width
+  assert.ok(points[1].x > 3 && points[1].x < 6);
+});
@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { generateStylesheet } from "../src/core.js";
+
+const cli = fileURLToPath(new URL("../bin/wabi.js", import.meta.url));
+
+function run(...args) {
+  return spawnSync(process.execPath, [cli, "css", ...args], { encoding: "utf8" });
+}
+
+test("generateStylesheet emits a class per variant for every selector of a list", () => {
+  const css = generateStylesheet([{ selector: ".card, .tile", variants: 2, seed: 7 }]);
+  assert.match(css, /^\.card\.wabi-v1, \.tile\.wabi-v1 \{\n  clip-path: polygon\(/);
+  assert.match(css, /\.card\.wabi-v2, \.tile\.wabi-v2 \{/);
+  assert.equal(css, generateStylesheet([{ selector: ".card, .tile", variants: 2, seed: 7 }]));
+});
+
+test("generateStylesheet emits keyframes with matching point counts", () => {
+  const css = generateStylesheet([{ selector: ".card", variants: 3, seed: 7, keyframes: { duration: 2000 } }]);
+  const frames = [...css.matchAll(/% \{\n    clip-path: polygon\(([^)]*)\)/g)].map((match) => match[1].split(",").length);
+  assert.equal(frames.length, 4);
+  assert.ok(frames.every((count) => count === frames[0]));
+  assert.match(css, /\.card\.wabi-animate \{\n  animation: wabi-card 2000ms ease-in-out infinite;/);
+});
+
+test("generateStylesheet rejects rules without a selector or variants", () => {
+  assert.throws(() => generateStylesheet([{ variants: 2 }]), /needs a selector/);
+  assert.throws(() => generateStylesheet([{ selector: true }]), /needs a selector/);
+  assert.throws(() => generateStylesheet([{ selector: ".card", variants: 0 }]), /variants/);
+  assert.throws(() => generateStylesheet([{ selector: ".card", variants: NaN }]), /variants/);
+});
+
+test("the CLI prints the stylesheet for its flags", () => {
+  const result = run("--selector", ".card", "--seed", "7", "--variants", "2", "--corners", "5,4", "--edges=2");
+  assert.equal(result.status, 0);
+  assert.equal(result.stdout, generateStylesheet([{ selector: ".card", seed: 7, variants: 2, corners: { x: 5, y: 4 }, edges: { points: 2 } }]));
+});
+
+test("the CLI fails on invalid flags", () => {
+  [
+    [["--selector", ".card", "--corners", "abc"], /--corners expects numbers/],
+    [["--selector", ".card", "--edges", "2,x"], /--edges expects numbers/],
+    [["--selector", ".card", "--variants", "abc"], /--variants expects a number/],
+    [["--selector", ".card", "--variants", "0"], /variants must be a whole number/],
+    [["--selector"], /--selector needs a value/],
+    [["--selector", "--seed", "3"], /--selector needs a value/],
+    [[], /Pass --selector or --config/],
+  ].forEach(([args, message]) => {
+    const result = run(...args);
+    assert.equal(result.status, 1, args.join(" "));
+    assert.equal(result.stdout, "");
+    assert.match(result.stderr, message);
+  });
+});